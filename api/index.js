@@ -9,11 +9,19 @@ import compression from 'compression';
 // Import routes
 import authRoutes from '../routes/auth.js';
 import listingRoutes from '../routes/listings.js';
+import dealRoutes from '../routes/deals.js';
 import notificationRoutes from '../routes/notifications.js';
 import companyRoutes from '../routes/companies.js';
 import transactionRoutes from '../routes/transactions.js';
 import referralRoutes from '../routes/referrals.js';
+import watchlistRoutes from '../routes/watchlist.js';
+import savedSearchRoutes from '../routes/savedSearches.js';
+import boostPackageRoutes from '../routes/boostPackages.js';
+import standingOrderRoutes from '../routes/standingOrders.js';
+import rfqRoutes from '../routes/rfqs.js';
+import userRoutes from '../routes/users.js';
 import adminRoutes from '../routes/admin.js';
+import { runLifecycleSweep } from '../services/lifecycleSweeper.js';
 
 // Load environment variables
 dotenv.config();
@@ -56,10 +64,17 @@ async function connectDB() {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/listings', listingRoutes);
+app.use('/api/deals', dealRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/referrals', referralRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/boost-packages', boostPackageRoutes);
+app.use('/api/standing-orders', standingOrderRoutes);
+app.use('/api/rfqs', rfqRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health check
@@ -72,6 +87,22 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Lifecycle sweep, called by Vercel Cron (see vercel.json) since there is no
+// long-running process here to schedule it. Vercel sends CRON_SECRET as a bearer token.
+app.get('/api/cron/lifecycle-sweep', async (req, res, next) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Not authorized' });
+  }
+
+  try {
+    // Short lease: it only has to cover one invocation, not the gap to the next cron run
+    const results = await runLifecycleSweep({ lockTtlMs: 60 * 1000 });
+    res.json({ success: true, skipped: results === null, data: results });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -81,10 +112,17 @@ app.get('/', (req, res) => {
       health: '/api/health',
       auth: '/api/auth',
       listings: '/api/listings',
+      deals: '/api/deals',
       notifications: '/api/notifications',
       companies: '/api/companies',
       transactions: '/api/transactions',
       referrals: '/api/referrals',
+      watchlist: '/api/watchlist',
+      savedSearches: '/api/saved-searches',
+      boostPackages: '/api/boost-packages',
+      standingOrders: '/api/standing-orders',
+      rfqs: '/api/rfqs',
+      users: '/api/users',
       admin: '/api/admin'
     }
   });
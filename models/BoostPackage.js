@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const BOOST_PLACEMENTS = ['marketplace', 'top_of_company', 'homepage'];
+
+const boostPackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  durationDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  placement: {
+    type: String,
+    enum: BOOST_PLACEMENTS,
+    default: 'marketplace'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+boostPackageSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Standard boost from platform settings, used when no package is chosen
+boostPackageSchema.statics.getStandardPackage = function(settings) {
+  return {
+    _id: null,
+    name: 'Standard Boost',
+    price: settings.boostFeeAmount,
+    durationDays: settings.boostDurationDays,
+    placement: 'marketplace'
+  };
+};
+
+export default mongoose.model('BoostPackage', boostPackageSchema);
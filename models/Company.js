@@ -48,6 +48,22 @@ const companySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Overrides the platform fee for this company's listings (null = use settings)
+  platformFeePercentage: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100
+  },
+  // Market data from executed deals
+  lastTradedPrice: {
+    type: Number,
+    default: null
+  },
+  lastTradedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
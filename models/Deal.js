@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+
+// Allowed status transitions for a deal. Admins may move a disputed deal to
+// any of its targets; parties only move forward along the happy path.
+export const DEAL_TRANSITIONS = {
+  awaiting_payment: ['payment_confirmed', 'cancelled', 'disputed'],
+  payment_confirmed: ['shares_transferred', 'disputed'],
+  shares_transferred: ['completed', 'disputed'],
+  disputed: ['awaiting_payment', 'payment_confirmed', 'shares_transferred', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const dealSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: function() { return !this.rfqId; }
+  },
+  rfqId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rfq'
+  }, // Set instead of listingId for awarded RFQ quotes
+  bidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }, // Accepted bid/offer, or the awarded RFQ quote
+  listingType: {
+    type: String,
+    enum: ['sell', 'buy', 'rfq'],
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  companyName: String,
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sellerUsername: String,
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyerUsername: String,
+  // Agreed terms (snapshot of the accepted bid)
+  price: {
+    type: Number,
+    required: true
+  },
+  buyerPrice: Number, // Per share, fee inclusive
+  sellerPrice: Number, // Per share, after fee
+  quantity: {
+    type: Number,
+    required: true
+  },
+  platformFeePercentage: {
+    type: Number,
+    default: 2
+  },
+  platformFee: Number, // Total fee for the whole quantity
+  totalAmount: Number, // Total the buyer pays
+  status: {
+    type: String,
+    enum: Object.keys(DEAL_TRANSITIONS),
+    default: 'awaiting_payment'
+  },
+  // Per-party confirmations
+  buyerConfirmations: {
+    paymentSentAt: { type: Date, default: null },
+    sharesReceivedAt: { type: Date, default: null }
+  },
+  sellerConfirmations: {
+    paymentReceivedAt: { type: Date, default: null },
+    sharesTransferredAt: { type: Date, default: null }
+  },
+  paymentReference: String,
+  transferReference: String,
+  // Lifecycle timestamps
+  acceptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  paymentConfirmedAt: Date,
+  sharesTransferredAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  disputedAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', null],
+    default: null
+  },
+  cancellationReason: String,
+  // Set when a dispute is resolved by refunding the buyer's payment
+  refundAmount: {
+    type: Number,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: [{
+    status: String,
+    by: String, // 'buyer', 'seller', 'admin' or 'system'
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+dealSchema.index({ buyerId: 1, status: 1, createdAt: -1 });
+dealSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+dealSchema.index({ listingId: 1, bidId: 1 }, { unique: true });
+dealSchema.index({ status: 1, createdAt: -1 });
+
+// Which side of the deal a user is on ('buyer', 'seller' or null)
+dealSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if (this.buyerId.toString() === id) return 'buyer';
+  if (this.sellerId.toString() === id) return 'seller';
+  return null;
+};
+
+dealSchema.methods.canTransitionTo = function(status) {
+  return (DEAL_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the deal to a new status, stamping the matching timestamp and history
+dealSchema.methods.transitionTo = function(status, { by, userId, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot move deal from ${this.status} to ${status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const timestampFields = {
+    payment_confirmed: 'paymentConfirmedAt',
+    shares_transferred: 'sharesTransferredAt',
+    completed: 'completedAt',
+    cancelled: 'cancelledAt',
+    disputed: 'disputedAt'
+  };
+  if (timestampFields[status]) this[timestampFields[status]] = now;
+
+  this.status = status;
+  this.statusHistory.push({ status, by, userId, note, timestamp: now });
+  return this;
+};
+
+export default mongoose.model('Deal', dealSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+// Uploaded file (payment screenshot, CML copy). The file itself is only loaded for download.
+const attachmentSchema = new mongoose.Schema({
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  data: {
+    type: Buffer,
+    select: false
+  }
+});
+
+// One message in the private chat between the buyer and seller of a deal
+const dealMessageSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  senderUsername: String,
+  text: {
+    type: String,
+    trim: true,
+    maxlength: MAX_MESSAGE_LENGTH,
+    default: ''
+  },
+  attachments: [attachmentSchema],
+  // Read receipt: when the other party first read the message
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+dealMessageSchema.index({ dealId: 1, createdAt: -1 });
+dealMessageSchema.index({ dealId: 1, senderId: 1, readAt: 1 });
+
+/**
+ * Unread messages per deal for a user: messages from the other party not read yet.
+ * Resolves to { [dealId]: count }.
+ */
+dealMessageSchema.statics.countUnread = async function(userId, dealIds) {
+  const counts = await this.aggregate([
+    { $match: { dealId: { $in: dealIds }, senderId: { $ne: userId }, readAt: null } },
+    { $group: { _id: '$dealId', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+export default mongoose.model('DealMessage', dealMessageSchema);
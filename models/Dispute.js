@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+
+export const DISPUTE_CATEGORIES = ['non_payment', 'shares_not_transferred', 'price_disagreement'];
+
+// refund and cancel both cancel the deal (refund means the buyer's payment is returned);
+// force_complete completes it
+export const DISPUTE_OUTCOMES = ['refund', 'force_complete', 'cancel'];
+
+export const MAX_DISPUTE_TEXT_LENGTH = 2000;
+
+// Files are stored inline, so keep a dispute well under the document size limit
+export const MAX_EVIDENCE_FILES = 6;
+
+// Evidence file (payment proof, transfer statement). The file itself is only loaded for download.
+const evidenceSchema = new mongoose.Schema({
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  data: {
+    type: Buffer,
+    select: false
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedByRole: {
+    type: String,
+    enum: ['buyer', 'seller']
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Files are served by the download route, never inlined in JSON
+evidenceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.data;
+    return ret;
+  }
+});
+
+// A dispute raised on a deal, worked through the admin queue
+const disputeSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  raisedByRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: DISPUTE_CATEGORIES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_DISPUTE_TEXT_LENGTH
+  },
+  evidence: [evidenceSchema],
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'resolved'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  // SLA timers, from platform settings when the dispute is raised
+  responseDueAt: Date, // Admin must pick it up by
+  resolutionDueAt: Date,
+  firstRespondedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin-only working notes
+  internalNotes: {
+    type: [{
+      adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      adminUsername: String,
+      note: {
+        type: String,
+        trim: true,
+        maxlength: MAX_DISPUTE_TEXT_LENGTH
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: [...DISPUTE_OUTCOMES, null],
+      default: null
+    },
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  // Steps visible to both parties
+  history: [{
+    action: String, // raised, evidence_added, assigned, resolved
+    by: String, // 'buyer', 'seller' or 'admin'
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ dealId: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, resolutionDueAt: 1 });
+disputeSchema.index({ assignedTo: 1, status: 1 });
+
+/**
+ * SLA state: due dates, whether each is overdue and hours left until resolution is due
+ */
+disputeSchema.methods.getSla = function(now = new Date()) {
+  const resolved = this.status === 'resolved';
+  const responded = Boolean(this.firstRespondedAt);
+
+  return {
+    responseDueAt: this.responseDueAt,
+    resolutionDueAt: this.resolutionDueAt,
+    responseOverdue: responded
+      ? this.firstRespondedAt > this.responseDueAt
+      : now > this.responseDueAt,
+    resolutionOverdue: resolved
+      ? this.resolution.resolvedAt > this.resolutionDueAt
+      : now > this.resolutionDueAt,
+    hoursToResolutionDue: resolved
+      ? null
+      : Math.round((this.resolutionDueAt - now) / (60 * 60 * 1000) * 10) / 10
+  };
+};
+
+export default mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Lease lock so scheduled jobs run on only one instance at a time
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: String,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: Date,
+  lastResult: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+/**
+ * Try to take the lock for `ttlMs`. Resolves true if this owner now holds it.
+ */
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }, { lockedBy: owner }]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.lockedBy === owner;
+  } catch (error) {
+    // Duplicate key on upsert means another instance holds the lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Record a finished run. The lease is kept until it expires so no other
+ * instance runs the job again in the same slot.
+ */
+jobLockSchema.statics.recordRun = async function(name, owner, result) {
+  await this.updateOne(
+    { name, lockedBy: owner },
+    { $set: { lastRunAt: new Date(), lastResult: result } }
+  );
+};
+
+// Give up the lease early (e.g. the run failed) so another instance can retry
+jobLockSchema.statics.release = async function(name, owner) {
+  await this.updateOne(
+    { name, lockedBy: owner },
+    { $set: { lockedUntil: null } }
+  );
+};
+
+export default mongoose.model('JobLock', jobLockSchema);
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import { DEFAULT_FEE_PERCENTAGE, addFee, deductFee } from '../utils/fees.js';
+import { BOOST_PLACEMENTS } from './BoostPackage.js';
+
+export const LISTING_VISIBILITIES = ['public', 'unlisted', 'invite_only'];
+const HIDDEN_VISIBILITIES = ['unlisted', 'invite_only'];
 
 const bidSchema = new mongoose.Schema({
   userId: {
@@ -18,16 +23,16 @@ const bidSchema = new mongoose.Schema({
   },
   sellerReceivesPrice: {
     type: Number,
-    default: function() { return this.price * 0.98; }
+    default: function() { return deductFee(this.price, this.platformFeePercentage); }
   },
   platformFee: {
     type: Number,
-    default: function() { return this.price * 0.02; }
+    default: function() { return this.price - deductFee(this.price, this.platformFeePercentage); }
   },
   platformFeePercentage: {
     type: Number,
-    default: 2
-  },
+    default: DEFAULT_FEE_PERCENTAGE
+  }, // Snapshot of the fee that applied to this bid
   quantity: {
     type: Number,
     required: true
@@ -35,12 +40,21 @@ const bidSchema = new mongoose.Schema({
   message: String,
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'countered', 'expired'],
+    enum: ['pending', 'accepted', 'rejected', 'countered', 'expired', 'cancelled', 'withdrawn'],
     default: 'pending'
   },
   counterHistory: [{
     round: Number,
     by: String, // 'buyer' or 'seller'
+    action: {
+      type: String,
+      enum: ['counter', 'amendment', 'accept', 'reject'],
+      default: 'counter'
+    },
+    automatic: {
+      type: Boolean,
+      default: false
+    }, // Decided by the listing owner's auto rules
     price: Number,
     quantity: Number,
     message: String,
@@ -55,6 +69,79 @@ const bidSchema = new mongoose.Schema({
   }
 });
 
+// Timed auction on a sell post: bids are for the whole remaining lot, ranked by
+// what the buyer pays, and the best bid meeting the reserve wins at endsAt
+const auctionSchema = new mongoose.Schema({
+  reservePrice: {
+    type: Number,
+    min: 0,
+    default: null,
+    select: false
+  }, // What the seller must receive per share; hidden from bidders
+  minIncrement: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  originalEndsAt: Date,
+  antiSnipeMinutes: {
+    type: Number,
+    default: 5,
+    min: 0
+  }, // A bid in the last N minutes pushes endsAt to N minutes after it
+  extensionCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['live', 'closed'],
+    default: 'live'
+  },
+  result: {
+    type: String,
+    enum: ['sold', 'reserve_not_met', 'no_bids', null],
+    default: null
+  },
+  closedAt: Date,
+  winningBidId: mongoose.Schema.Types.ObjectId
+}, { _id: false });
+
+// Owner's automatic handling of new bids/offers. Prices are in the owner's terms:
+// what a seller receives on a sell post, what a buyer pays on a buy request.
+// Sell posts accept at or above acceptPrice and reject below rejectPrice;
+// buy requests accept at or below acceptPrice and reject above rejectPrice.
+const autoRulesSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  acceptPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  acceptMinQuantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  rejectPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  counterPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  } // Counter anything not accepted or rejected that is worse than this
+}, { _id: false });
+
 const listingSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -94,21 +181,33 @@ const listingSchema = new mongoose.Schema({
   displayPrice: {
     type: Number,
     default: function() { 
-      return this.type === 'sell' ? this.price / 0.98 : this.price * 0.98;
+      return this.type === 'sell'
+        ? addFee(this.price, this.platformFeePercentage)
+        : deductFee(this.price, this.platformFeePercentage);
     }
   },
   platformFeePercentage: {
     type: Number,
-    default: 2
-  },
+    default: DEFAULT_FEE_PERCENTAGE
+  }, // Snapshot of the fee that applied when the listing was priced
   platformFee: {
     type: Number,
-    default: function() { return this.price * 0.02; }
+    default: function() {
+      return this.type === 'sell'
+        ? addFee(this.price, this.platformFeePercentage) - this.price
+        : this.price - deductFee(this.price, this.platformFeePercentage);
+    }
   },
   quantity: {
     type: Number,
     required: true
   },
+  // Shares not yet taken by accepted bids/offers (partial fills)
+  remainingQuantity: {
+    type: Number,
+    min: 0,
+    default: function() { return this.quantity; }
+  },
   minLot: {
     type: Number,
     required: true,
@@ -123,6 +222,37 @@ const listingSchema = new mongoose.Schema({
     enum: ['active', 'sold', 'expired', 'cancelled'],
     default: 'active'
   },
+  auction: {
+    type: auctionSchema,
+    default: null
+  }, // Set for timed auction sell posts
+  // Hidden from bidders; load with .select('+autoRules')
+  autoRules: {
+    type: autoRulesSchema,
+    default: null,
+    select: false
+  },
+  // Unlisted: only reachable with the share link. Invite-only: only invited usernames.
+  visibility: {
+    type: String,
+    enum: LISTING_VISIBILITIES,
+    default: 'public'
+  },
+  shareToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  invitedUsernames: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Owner and bidders are shown under pseudonyms until a bid is accepted
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
   bids: [bidSchema], // For sell posts
   offers: [bidSchema], // For buy requests (using same schema)
   isBoosted: {
@@ -133,13 +263,33 @@ const listingSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  boostPlacement: {
+    type: String,
+    enum: [...BOOST_PLACEMENTS, null],
+    default: null
+  },
+  boostPackageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoostPackage',
+    default: null
+  },
+  // displayPrice x remainingQuantity, kept for sorting by deal size
+  totalValue: {
+    type: Number,
+    default: null
+  },
   views: {
     type: Number,
     default: 0
   },
+  // From the listingExpiryDays platform setting (getListingExpiryDate), or the auction end
   expiresAt: {
     type: Date,
-    default: () => new Date(+new Date() + 30*24*60*60*1000) // 30 days
+    required: true
+  },
+  expiryWarningSentAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -151,8 +301,102 @@ listingSchema.index({ userId: 1, status: 1 });
 listingSchema.index({ companyId: 1, type: 1, status: 1 });
 listingSchema.index({ isBoosted: 1, boostExpiresAt: 1 });
 
-// Auto-expire listings
+// Check a bid/offer quantity against the unfilled quantity and minimum lot.
+// Taking the whole remainder is always allowed, even when it is below minLot.
+listingSchema.methods.getFillError = function(quantity) {
+  const remaining = this.remainingQuantity ?? this.quantity;
+  if (quantity > remaining) {
+    return `Only ${remaining} shares are still available on this listing`;
+  }
+  if (quantity < this.minLot && quantity !== remaining) {
+    return `Minimum lot size is ${this.minLot} shares`;
+  }
+  return null;
+};
+
+listingSchema.index({ shareToken: 1 }, { sparse: true });
+
+// Query filter for listings a user may discover; pass null for public-only
+listingSchema.statics.visibleToFilter = function(user) {
+  const publicFilter = { visibility: { $nin: HIDDEN_VISIBILITIES } };
+  if (!user) return publicFilter;
+  return { $or: [publicFilter, { visibility: 'invite_only', invitedUsernames: user.username }] };
+};
+
+listingSchema.methods.isPublic = function() {
+  return !HIDDEN_VISIBILITIES.includes(this.visibility);
+};
+
+// Whether a user (or a share link holder) may see and bid on this listing.
+// Needs shareToken and invitedUsernames selected; existing bidders keep access.
+listingSchema.methods.canView = function(user, shareToken) {
+  if (this.isPublic()) return true;
+
+  if (user) {
+    const userId = user._id.toString();
+    if ((this.userId?._id || this.userId).toString() === userId) return true;
+    const bids = [...(this.bids || []), ...(this.offers || [])];
+    if (bids.some(bid => bid.userId.toString() === userId)) return true;
+    if (this.visibility === 'invite_only' && this.invitedUsernames?.includes(user.username)) return true;
+  }
+
+  return this.visibility === 'unlisted' && Boolean(this.shareToken) && shareToken === this.shareToken;
+};
+
+// Auction bids, best first: highest buyer price, earliest bid on ties. Open bids by default.
+listingSchema.methods.getRankedBids = function(statuses = ['pending']) {
+  return this.bids
+    .filter(bid => statuses.includes(bid.status))
+    .sort((a, b) => (b.buyerOfferedPrice - a.buyerOfferedPrice) || (a.createdAt - b.createdAt));
+};
+
+// Lowest price (buyer pays) the next auction bid can be
+listingSchema.methods.getNextMinimumBid = function() {
+  const [leading] = this.getRankedBids();
+  return leading ? leading.buyerOfferedPrice + this.auction.minIncrement : this.displayPrice;
+};
+
+// Check a bid against the auction's end time, lot and increment
+listingSchema.methods.getAuctionBidError = function(price, quantity, now = new Date()) {
+  if (this.auction.status !== 'live' || this.auction.endsAt <= now) {
+    return 'This auction has ended';
+  }
+  const remaining = this.remainingQuantity ?? this.quantity;
+  if (quantity !== remaining) {
+    return `Auction bids are for the whole lot of ${remaining} shares`;
+  }
+  const minimum = this.getNextMinimumBid();
+  if (price < minimum) {
+    return `Bid must be at least ₹${minimum.toFixed(2)}`;
+  }
+  return null;
+};
+
+// Anti-sniping: a bid close to the end pushes the end time back
+listingSchema.methods.extendAuctionForBid = function(now = new Date()) {
+  const windowMs = this.auction.antiSnipeMinutes * 60 * 1000;
+  if (windowMs === 0 || this.auction.endsAt.getTime() - now.getTime() > windowMs) return false;
+
+  this.auction.endsAt = new Date(now.getTime() + windowMs);
+  this.auction.extensionCount += 1;
+  this.expiresAt = this.auction.endsAt;
+  return true;
+};
+
+listingSchema.index({ status: 1, expiresAt: 1 });
+listingSchema.index({ status: 1, isBoosted: -1, createdAt: -1 });
+listingSchema.index({ status: 1, isBoosted: -1, displayPrice: 1 });
+listingSchema.index({ status: 1, isBoosted: -1, totalValue: -1 });
+
+// Keep total value in sync with price and unfilled quantity
+listingSchema.pre('save', function(next) {
+  this.totalValue = (this.displayPrice ?? this.price) * (this.remainingQuantity ?? this.quantity);
+  next();
+});
+
+// Auto-expire listings (pass { includeExpired: true } as a query option to skip)
 listingSchema.pre('find', function() {
+  if (this.getOptions().includeExpired) return;
   this.where({ expiresAt: { $gt: new Date() } });
 });
 
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A crossing sell post / buy request pair whose owners were notified (de-duplication)
+const listingMatchSchema = new mongoose.Schema({
+  sellListingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  buyListingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  sellerDesiredPrice: Number,
+  buyerMaxPrice: Number,
+  quantity: Number
+}, {
+  timestamps: true
+});
+
+listingMatchSchema.index({ sellListingId: 1, buyListingId: 1 }, { unique: true });
+
+export default mongoose.model('ListingMatch', listingMatchSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const MAX_QUESTION_LENGTH = 1000;
+
+// Public question on a listing and the owner's answer
+const listingQuestionSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  askerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    select: false // Askers are shown by askerName only
+  },
+  askerName: String, // Username, or pseudonym on anonymous listings
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_QUESTION_LENGTH
+  },
+  answer: {
+    type: String,
+    trim: true,
+    maxlength: MAX_QUESTION_LENGTH,
+    default: null
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  // Hidden by the listing owner (abusive or spam); only the owner still sees it
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+listingQuestionSchema.index({ listingId: 1, createdAt: 1 });
+
+/**
+ * Thread of a listing as `viewer` may see it. Hidden questions are shown to the owner only.
+ */
+listingQuestionSchema.statics.getThread = async function(listing, viewer) {
+  const ownerId = (listing.userId?._id || listing.userId).toString();
+  const viewerId = viewer?._id.toString();
+  const isOwner = viewerId === ownerId;
+
+  const query = { listingId: listing._id };
+  if (!isOwner) query.isHidden = false;
+
+  const questions = await this.find(query)
+    .select(isOwner ? '+askerId' : '+askerId -isHidden -hiddenAt')
+    .sort('createdAt')
+    .lean();
+
+  return questions.map(({ askerId, ...question }) => ({
+    ...question,
+    isOwnQuestion: askerId.toString() === viewerId
+  }));
+};
+
+export default mongoose.model('ListingQuestion', listingQuestionSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { BOOST_PLACEMENTS } from './BoostPackage.js';
+
+// Where a viewer came to a listing from (?ref= on the listing detail request)
+export const LISTING_VIEW_REFERRERS = [
+  'search',
+  'watchlist',
+  'saved_search',
+  'match',
+  'boost',
+  'share_link',
+  'notification',
+  'direct'
+];
+
+// One unique viewer of a listing on one day (Asia/Kolkata)
+const listingViewSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  day: {
+    type: String,
+    required: true
+  }, // YYYY-MM-DD
+  viewerKey: {
+    type: String,
+    required: true
+  }, // User id, or a hash of IP and user agent for guests
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+  // First referrer of the day for this viewer
+  referrer: {
+    type: String,
+    enum: LISTING_VIEW_REFERRERS,
+    default: 'direct'
+  },
+  boostPlacement: {
+    type: String,
+    enum: [...BOOST_PLACEMENTS, null],
+    default: null
+  },
+  duringBoost: {
+    type: Boolean,
+    default: false
+  } // Listing was boosted at the time of the view
+}, {
+  timestamps: true
+});
+
+listingViewSchema.index({ listingId: 1, day: 1, viewerKey: 1 }, { unique: true });
+
+export default mongoose.model('ListingView', listingViewSchema);
@@ -17,9 +17,27 @@ const notificationSchema = new mongoose.Schema({
       'offer_rejected',
       'bid_countered',
       'counter_offer',
+      'bid_expired',
+      'bid_withdrawn',
+      'bid_amended',
       'listing_expired',
+      'listing_expiring',
       'boost_activated',
-      'referral_earning'
+      'referral_earning',
+      'deal_update',
+      'watchlist_alert',
+      'saved_search_alert',
+      'listing_match',
+      'auto_bid_placed',
+      'auction_outbid',
+      'auction_closed',
+      'rfq_request',
+      'listing_invite',
+      'listing_question',
+      'question_answered',
+      'deal_message',
+      'rating_received',
+      'dispute_update'
     ],
     required: true
   },
@@ -33,11 +51,17 @@ const notificationSchema = new mongoose.Schema({
   },
   data: {
     listingId: mongoose.Schema.Types.ObjectId,
+    matchedListingId: mongoose.Schema.Types.ObjectId,
     bidId: mongoose.Schema.Types.ObjectId,
+    dealId: mongoose.Schema.Types.ObjectId,
+    rfqId: mongoose.Schema.Types.ObjectId,
+    questionId: mongoose.Schema.Types.ObjectId,
+    disputeId: mongoose.Schema.Types.ObjectId,
     fromUser: String,
     amount: Number,
     quantity: Number,
-    companyName: String
+    companyName: String,
+    round: Number
   },
   isRead: {
     type: Boolean,
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const RATING_TAGS = [
+  'paid_on_time',
+  'transferred_quickly',
+  'responsive',
+  'accurate_terms',
+  'smooth_process',
+  'slow_payment',
+  'slow_transfer',
+  'unresponsive'
+];
+
+export const MAX_REVIEW_LENGTH = 500;
+
+// One party's rating of the other after a completed deal
+const ratingSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  raterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  raterUsername: String,
+  raterRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  rateeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  stars: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  tags: {
+    type: [{ type: String, enum: RATING_TAGS }],
+    default: []
+  },
+  review: {
+    type: String,
+    trim: true,
+    maxlength: MAX_REVIEW_LENGTH,
+    default: null
+  },
+  companyName: String
+}, {
+  timestamps: true
+});
+
+// Each party rates a deal once
+ratingSchema.index({ dealId: 1, raterId: 1 }, { unique: true });
+ratingSchema.index({ rateeId: 1, createdAt: -1 });
+
+export default mongoose.model('Rating', ratingSchema);
@@ -73,6 +73,16 @@ const referralTrackingSchema = new mongoose.Schema({
     min: 0
   },
 
+  deal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal'
+  },
+  // Set once the deal completes and the referrer's earnings are credited
+  earnedAt: {
+    type: Date,
+    default: null
+  },
+
   // Transaction reference
   transaction: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+// A holder's private quote on an RFQ. The seller quotes what they receive per share;
+// fee fields are computed the same way as offers on buy requests.
+const quoteSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sellerUsername: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  buyerOfferedPrice: Number,
+  sellerReceivesPrice: Number,
+  platformFee: Number,
+  platformFeePercentage: Number,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'awarded', 'declined', 'withdrawn', 'cancelled'],
+    default: 'submitted'
+  },
+  awardedQuantity: {
+    type: Number,
+    default: null
+  },
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Request for quote: a block buyer asks selected holders for private quotes
+const rfqSchema = new mongoose.Schema({
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyerUsername: String,
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  companyName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  targetPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  }, // Optional indicative price per share, shown to recipients
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  audience: {
+    type: String,
+    enum: ['selected', 'holders'],
+    default: 'selected'
+  },
+  recipients: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String
+  }],
+  platformFeePercentage: Number, // Snapshot of the fee when the RFQ was sent
+  quotes: [quoteSchema],
+  awardedQuantity: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  quoteDeadline: {
+    type: Date,
+    required: true
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+rfqSchema.index({ buyerId: 1, createdAt: -1 });
+rfqSchema.index({ 'recipients.userId': 1, status: 1, createdAt: -1 });
+rfqSchema.index({ status: 1, quoteDeadline: 1 });
+
+rfqSchema.methods.isRecipient = function(userId) {
+  return this.recipients.some(recipient => recipient.userId.toString() === userId.toString());
+};
+
+// What a recipient may see: the request and their own quote only
+rfqSchema.methods.toRecipientView = function(userId) {
+  const rfq = this.toObject();
+  delete rfq.recipients;
+  rfq.quotes = rfq.quotes.filter(quote => quote.sellerId.toString() === userId.toString());
+  return rfq;
+};
+
+export default mongoose.model('Rfq', rfqSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Same filters as GET /api/listings
+  filters: {
+    type: {
+      type: String,
+      enum: ['sell', 'buy', null],
+      default: null
+    },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null
+    },
+    search: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    minPrice: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    maxPrice: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    companySegmentation: {
+      type: String,
+      enum: ['SME', 'Mainboard', 'Unlisted', 'Pre-IPO', 'Startup', null],
+      default: null
+    }
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastAlertAt: {
+    type: Date,
+    default: null
+  },
+  alertCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, 'filters.companyId': 1, 'filters.type': 1 });
+
+// Check a listing against this search (price range uses the fee-inclusive display price)
+savedSearchSchema.methods.matchesListing = function(listing) {
+  const { type, companyId, search, minPrice, maxPrice, companySegmentation } = this.filters;
+  const price = listing.displayPrice ?? listing.price;
+  const listingCompanyId = listing.companyId?._id || listing.companyId;
+
+  if (type && listing.type !== type) return false;
+  if (companyId && listingCompanyId?.toString() !== companyId.toString()) return false;
+  if (companySegmentation && listing.companySegmentation !== companySegmentation) return false;
+  if (minPrice != null && price < minPrice) return false;
+  if (maxPrice != null && price > maxPrice) return false;
+  if (search && !(listing.companyName || '').toLowerCase().includes(search.toLowerCase())) return false;
+
+  return true;
+};
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Record of a listing already alerted for a saved search (de-duplication)
+const savedSearchAlertSchema = new mongoose.Schema({
+  savedSearchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  price: Number
+}, {
+  timestamps: true
+});
+
+savedSearchAlertSchema.index({ savedSearchId: 1, listingId: 1 }, { unique: true });
+
+export default mongoose.model('SavedSearchAlert', savedSearchAlertSchema);
@@ -8,6 +8,16 @@ const settingsSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Per-segmentation fee percentages, e.g. { SME: 1.5, 'Pre-IPO': 3 }
+  segmentationFeeOverrides: {
+    type: Map,
+    of: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    default: {}
+  },
   
   // Boost Fees
   boostFeeAmount: {
@@ -32,6 +42,53 @@ const settingsSchema = new mongoose.Schema({
     default: 30,
     min: 1
   },
+  listingExpiryWarningHours: {
+    type: Number,
+    default: 48,
+    min: 1
+  },
+
+  // Negotiation
+  maxCounterRounds: {
+    type: Number,
+    default: () => parseInt(process.env.MAX_COUNTER_ROUNDS) || 4,
+    min: 1
+  },
+  bidExpiryDays: {
+    type: Number,
+    default: 7,
+    min: 1
+  },
+
+  // Standing Orders (kill switch stops all auto-bidding platform-wide)
+  standingOrdersEnabled: {
+    type: Boolean,
+    default: true
+  },
+  maxStandingOrdersPerUser: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+
+  // Dispute SLA timers (hours from when a dispute is raised)
+  disputeResponseSlaHours: {
+    type: Number,
+    default: 24,
+    min: 1
+  },
+  disputeResolutionSlaHours: {
+    type: Number,
+    default: 72,
+    min: 1
+  },
+
+  // Anonymity (optional lets each listing choose; always masks every listing)
+  anonymityMode: {
+    type: String,
+    enum: ['disabled', 'optional', 'always'],
+    default: 'optional'
+  },
 
   // Referral Settings
   referralCommissionPercentage: {
@@ -95,4 +152,13 @@ const settingsSchema = new mongoose.Schema({
 // Ensure only one settings document exists (singleton pattern)
 // Note: _id is already indexed by MongoDB, no need to add custom index
 
+// Get the singleton settings document, creating it with defaults if missing
+settingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+  return settings;
+};
+
 export default mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Buyer's standing order: auto-bid on new sell posts for a company at or under maxPrice
+const standingOrderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  companyName: String,
+  maxPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  }, // Per share the buyer pays, compared with the sell post's displayPrice
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }, // Shares to bid for on each matching sell post
+  maxAutoBids: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 50
+  },
+  autoBidCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }, // Owner's kill switch
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  },
+  autoBids: [{
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing'
+    },
+    bidId: mongoose.Schema.Types.ObjectId,
+    price: Number,
+    quantity: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+standingOrderSchema.index({ companyId: 1, isActive: 1, expiresAt: 1 });
+standingOrderSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('StandingOrder', standingOrderSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One executed trade (accepted bid/offer) - the price series behind
+// last traded price and OHLC candles for a company
+const tradeSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  companyName: String,
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true,
+    unique: true
+  },
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing'
+  },
+  price: {
+    type: Number,
+    required: true
+  }, // Per share paid by buyer (fee inclusive, same basis as displayPrice)
+  sellerPrice: Number, // Per share received by seller
+  quantity: {
+    type: Number,
+    required: true
+  },
+  executedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isVoid: {
+    type: Boolean,
+    default: false
+  } // Set when the deal is cancelled
+}, {
+  timestamps: true
+});
+
+// Index for price history queries
+tradeSchema.index({ companyId: 1, isVoid: 1, executedAt: -1 });
+
+export default mongoose.model('Trade', tradeSchema);
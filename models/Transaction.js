@@ -3,13 +3,17 @@ import mongoose from 'mongoose';
 const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['platform_fee', 'boost_fee', 'affiliate_commission'],
+    enum: ['platform_fee', 'boost_fee', 'affiliate_commission', 'refund'],
     required: true
   },
   listingId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Listing'
   },
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal'
+  },
   buyerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -27,8 +31,21 @@ const transactionSchema = new mongoose.Schema({
     required: true
   },
   tradeAmount: Number, // Original trade amount
+  price: Number, // Per share price of the settled deal
+  quantity: Number,
   companyName: String,
   description: String,
+  // Package bought, for boost_fee transactions
+  boostPackage: {
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BoostPackage'
+    },
+    name: String,
+    placement: String,
+    durationDays: Number,
+    boostExpiresAt: Date
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed'],
@@ -41,5 +58,6 @@ const transactionSchema = new mongoose.Schema({
 // Index for analytics
 transactionSchema.index({ type: 1, createdAt: -1 });
 transactionSchema.index({ affiliateId: 1, type: 1 });
+transactionSchema.index({ dealId: 1 });
 
 export default mongoose.model('Transaction', transactionSchema);
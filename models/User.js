@@ -131,6 +131,57 @@ const userSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Admin-granted exemptions from Settings trading limits (e.g. institutional sellers)
+  tradingLimitExemptions: {
+    maxListings: {
+      type: Boolean,
+      default: false
+    },
+    tradeAmount: {
+      type: Boolean,
+      default: false
+    },
+    note: {
+      type: String,
+      default: null
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    grantedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Trust signals, recomputed by services/reputation.js on ratings and completed deals
+  reputation: {
+    score: {
+      type: Number,
+      default: null
+    }, // 0-100, null until the first rating
+    averageStars: {
+      type: Number,
+      default: null
+    },
+    ratingCount: {
+      type: Number,
+      default: 0
+    },
+    completedDeals: {
+      type: Number,
+      default: 0
+    },
+    averageSettlementHours: {
+      type: Number,
+      default: null
+    }, // Acceptance to completion
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
   previousUsernames: [{
     username: {
       type: String,
@@ -192,6 +243,7 @@ userSchema.methods.getPublicProfile = function() {
     avatar: this.avatar,
     role: this.role,
     isVerified: this.isVerified,
+    reputation: this.reputation,
     // Address fields
     addressLine1: this.addressLine1,
     addressLine2: this.addressLine2,
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const watchlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  companyName: String,
+  // Which new listings to alert on
+  alertOnSell: {
+    type: Boolean,
+    default: true
+  },
+  alertOnBuy: {
+    type: Boolean,
+    default: true
+  },
+  // Optional thresholds on the fee-inclusive display price
+  maxSellPrice: {
+    type: Number,
+    default: null,
+    min: 0
+  }, // Only alert for sell posts at or under this price
+  minBuyPrice: {
+    type: Number,
+    default: null,
+    min: 0
+  } // Only alert for buy requests at or above this price
+}, {
+  timestamps: true
+});
+
+// One entry per user per company
+watchlistSchema.index({ userId: 1, companyId: 1 }, { unique: true });
+watchlistSchema.index({ companyId: 1 });
+
+export default mongoose.model('Watchlist', watchlistSchema);
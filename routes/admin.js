@@ -8,7 +8,12 @@ import Settings from '../models/Settings.js';
 import Ad from '../models/Ad.js';
 import ReferralTracking from '../models/ReferralTracking.js';
 import UsernameHistory from '../models/UsernameHistory.js';
+import Deal from '../models/Deal.js';
+import Dispute from '../models/Dispute.js';
+import BoostPackage from '../models/BoostPackage.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { notifyDealParties, settleDeal } from '../services/dealService.js';
+import { assignDispute, resolveDispute } from '../services/disputeService.js';
 
 const router = express.Router();
 
@@ -159,16 +164,13 @@ router.get('/listings', async (req, res, next) => {
       .skip(skip)
       .limit(parseInt(limit));
 
-    // Get platform settings for fee calculation
-    let settings = await Settings.findOne();
-    if (!settings) {
-      settings = await Settings.create({});
-    }
-    const platformFeePercentage = settings.platformFeePercentage || 2;
+    // Get platform settings for listings priced before fees were snapshotted
+    const settings = await Settings.getSettings();
 
     // Add fee calculations to each listing
     const listingsWithFees = listings.map(listing => {
       const listingObj = listing.toObject();
+      const platformFeePercentage = listing.platformFeePercentage ?? settings.platformFeePercentage;
       const baseAmount = listing.price * listing.quantity;
       const platformFee = (baseAmount * platformFeePercentage) / 100;
       const totalAmount = baseAmount + platformFee;
@@ -314,6 +316,11 @@ router.get('/transactions', async (req, res, next) => {
             $sum: { 
               $cond: [{ $eq: ['$type', 'affiliate_commission'] }, '$amount', 0] 
             } 
+          },
+          refunds: {
+            $sum: {
+              $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0]
+            }
           }
         }
       }
@@ -322,7 +329,7 @@ router.get('/transactions', async (req, res, next) => {
     res.json({
       success: true,
       data: transactions,
-      stats: stats[0] || { totalAmount: 0, platformFees: 0, boostFees: 0, commissions: 0 },
+      stats: stats[0] || { totalAmount: 0, platformFees: 0, boostFees: 0, commissions: 0, refunds: 0 },
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -388,8 +395,9 @@ router.get('/reports', async (req, res, next) => {
       }
     ]);
 
+    // Refunds return buyer money, not platform revenue
     const revenueTimeline = await Transaction.aggregate([
-      { $match: { createdAt: { $gte: daysAgo } } },
+      { $match: { createdAt: { $gte: daysAgo }, type: { $ne: 'refund' } } },
       {
         $group: {
           _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
@@ -484,6 +492,40 @@ router.put('/users/:id/ban', async (req, res, next) => {
   }
 });
 
+// @route   PUT /api/admin/users/:id/trading-exemptions
+// @desc    Grant/revoke exemptions from trading limits (e.g. institutional sellers)
+// @access  Admin
+router.put('/users/:id/trading-exemptions', async (req, res, next) => {
+  try {
+    const { maxListings, tradeAmount, note } = req.body;
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (maxListings !== undefined) user.tradingLimitExemptions.maxListings = Boolean(maxListings);
+    if (tradeAmount !== undefined) user.tradingLimitExemptions.tradeAmount = Boolean(tradeAmount);
+    if (note !== undefined) user.tradingLimitExemptions.note = note;
+    user.tradingLimitExemptions.grantedBy = req.user._id;
+    user.tradingLimitExemptions.grantedAt = new Date();
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Trading limit exemptions updated successfully',
+      data: user.tradingLimitExemptions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/admin/companies
 // @desc    Create new company
 // @access  Admin
@@ -597,7 +639,7 @@ router.post('/companies', upload.single('logo'), async (req, res, next) => {
 // @access  Admin
 router.put('/companies/:id', upload.single('logo'), async (req, res, next) => {
   try {
-    const { name, scriptName, sector, isin, cin, pan, registrationDate, description } = req.body;
+    const { name, scriptName, sector, isin, cin, pan, registrationDate, description, platformFeePercentage } = req.body;
     
     const company = await Company.findById(req.params.id);
     if (!company) {
@@ -616,6 +658,11 @@ router.put('/companies/:id', upload.single('logo'), async (req, res, next) => {
     company.pan = (pan && pan.trim()) ? pan.trim() : null;
     company.registrationDate = registrationDate ? new Date(registrationDate) : null;
     company.description = (description && description.trim()) ? description.trim() : null;
+    if (platformFeePercentage !== undefined) {
+      company.platformFeePercentage = platformFeePercentage === '' || platformFeePercentage === null
+        ? null
+        : Number(platformFeePercentage);
+    }
 
     // Handle logo upload
     if (req.file) {
@@ -737,6 +784,379 @@ router.put('/settings', async (req, res, next) => {
   }
 });
 
+// ==================== BOOST PACKAGE ROUTES ====================
+
+// @route   GET /api/admin/boost-packages
+// @desc    Get all boost packages, including inactive ones
+// @access  Admin
+router.get('/boost-packages', async (req, res, next) => {
+  try {
+    const packages = await BoostPackage.find()
+      .sort('sortOrder price')
+      .populate('createdBy', 'username email');
+
+    res.json({
+      success: true,
+      data: packages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/boost-packages
+// @desc    Create boost package
+// @access  Admin
+router.post('/boost-packages', async (req, res, next) => {
+  try {
+    const { name, description, price, durationDays, placement, isActive, sortOrder } = req.body;
+
+    const boostPackage = await BoostPackage.create({
+      name,
+      description,
+      price,
+      durationDays,
+      placement,
+      isActive,
+      sortOrder,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Boost package created successfully',
+      data: boostPackage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/boost-packages/:id
+// @desc    Update boost package
+// @access  Admin
+router.put('/boost-packages/:id', async (req, res, next) => {
+  try {
+    const boostPackage = await BoostPackage.findById(req.params.id);
+
+    if (!boostPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Boost package not found'
+      });
+    }
+
+    ['name', 'description', 'price', 'durationDays', 'placement', 'isActive', 'sortOrder'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        boostPackage[key] = req.body[key];
+      }
+    });
+
+    await boostPackage.save();
+
+    res.json({
+      success: true,
+      message: 'Boost package updated successfully',
+      data: boostPackage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/boost-packages/:id
+// @desc    Delete boost package (running boosts keep their window)
+// @access  Admin
+router.delete('/boost-packages/:id', async (req, res, next) => {
+  try {
+    const boostPackage = await BoostPackage.findByIdAndDelete(req.params.id);
+
+    if (!boostPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Boost package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Boost package deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== DEAL SETTLEMENT ROUTES ====================
+
+// @route   GET /api/admin/deals
+// @desc    Get all deals with filters
+// @access  Admin
+router.get('/deals', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, refunded, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+    if (refunded === 'true') query.refundedAt = { $ne: null };
+    if (search) {
+      query.$or = [
+        { companyName: { $regex: search, $options: 'i' } },
+        { buyerUsername: { $regex: search, $options: 'i' } },
+        { sellerUsername: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const deals = await Deal.find(query)
+      .populate('buyerId', 'username email fullName phone')
+      .populate('sellerId', 'username email fullName phone')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Deal.countDocuments(query);
+
+    // Deal count per status for the ops dashboard
+    const statusCounts = await Deal.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: deals,
+      stats: statusCounts.reduce((acc, s) => ({ ...acc, [s._id]: s.count }), {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/deals/:id/status
+// @desc    Move a deal to a new status (open disputes are resolved under /disputes)
+// @access  Admin
+router.put('/deals/:id/status', async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const deal = await Deal.findById(req.params.id);
+
+    if (!deal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deal not found'
+      });
+    }
+
+    // Disputes raised through the dispute workflow are resolved there, so the outcome is recorded
+    const openDispute = deal.status === 'disputed' && await Dispute.exists({ dealId: deal._id, status: { $ne: 'resolved' } });
+    if (openDispute) {
+      return res.status(400).json({
+        success: false,
+        message: 'This deal has an open dispute. Resolve it from the dispute queue instead.'
+      });
+    }
+
+    if (status === 'cancelled') deal.cancelledBy = 'admin';
+    deal.transitionTo(status, { by: 'admin', userId: req.user._id, note });
+    await deal.save();
+
+    await settleDeal(deal);
+    await notifyDealParties(deal);
+
+    res.json({
+      success: true,
+      message: 'Deal status updated successfully',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== DISPUTE ROUTES ====================
+
+// Load a dispute with its deal for the dispute routes below
+const findDispute = async (req, res, select = '') => {
+  const dispute = await Dispute.findById(req.params.id).select(select);
+  const deal = dispute && await Deal.findById(dispute.dealId);
+
+  if (!dispute || !deal) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+    return {};
+  }
+
+  return { dispute, deal };
+};
+
+// @route   GET /api/admin/disputes
+// @desc    Dispute queue, most urgent first (filters: status, category, assignedTo=me|unassigned|<id>, overdue=true)
+// @access  Admin
+router.get('/disputes', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, category, assignedTo, overdue } = req.query;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    // Unresolved disputes by default
+    const query = { status: status || { $ne: 'resolved' } };
+    if (category) query.category = category;
+    if (assignedTo === 'me') query.assignedTo = req.user._id;
+    else if (assignedTo === 'unassigned') query.assignedTo = null;
+    else if (assignedTo) query.assignedTo = assignedTo;
+    if (overdue === 'true') {
+      query.status = { $ne: 'resolved' };
+      query.$or = [
+        { resolutionDueAt: { $lt: now } },
+        { firstRespondedAt: null, responseDueAt: { $lt: now } }
+      ];
+    }
+
+    const disputes = await Dispute.find(query)
+      .populate('dealId', 'companyName quantity price totalAmount status buyerUsername sellerUsername')
+      .populate('raisedBy', 'username fullName')
+      .populate('assignedTo', 'username fullName')
+      .sort('resolutionDueAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(query);
+
+    // Queue health for the ops dashboard
+    const [statusCounts, overdueCount] = await Promise.all([
+      Dispute.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Dispute.countDocuments({ status: { $ne: 'resolved' }, resolutionDueAt: { $lt: now } })
+    ]);
+
+    res.json({
+      success: true,
+      data: disputes.map(dispute => ({ ...dispute.toJSON(), sla: dispute.getSla(now) })),
+      stats: {
+        ...statusCounts.reduce((acc, s) => ({ ...acc, [s._id]: s.count }), {}),
+        overdue: overdueCount
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/disputes/:id
+// @desc    Get a dispute with its deal, internal notes and SLA timers
+// @access  Admin
+router.get('/disputes/:id', async (req, res, next) => {
+  try {
+    const { dispute, deal } = await findDispute(req, res, '+internalNotes');
+    if (!dispute) return;
+
+    await dispute.populate([
+      { path: 'raisedBy', select: 'username fullName email phone' },
+      { path: 'assignedTo', select: 'username fullName' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...dispute.toJSON(), sla: dispute.getSla(), deal }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/disputes/:id/assign
+// @desc    Assign a dispute to an admin (defaults to the current admin)
+// @access  Admin
+router.put('/disputes/:id/assign', async (req, res, next) => {
+  try {
+    const { adminId } = req.body;
+    const { dispute, deal } = await findDispute(req, res);
+    if (!dispute) return;
+
+    const assignee = adminId ? await User.findOne({ _id: adminId, role: 'admin' }) : req.user;
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee must be an admin'
+      });
+    }
+
+    await assignDispute(dispute, deal, assignee);
+
+    res.json({
+      success: true,
+      message: `Dispute assigned to ${assignee.username}`,
+      data: { ...dispute.toJSON(), sla: dispute.getSla() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/disputes/:id/notes
+// @desc    Add an internal note (never shown to the parties)
+// @access  Admin
+router.post('/disputes/:id/notes', async (req, res, next) => {
+  try {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note is required'
+      });
+    }
+
+    const { dispute } = await findDispute(req, res, '+internalNotes');
+    if (!dispute) return;
+
+    dispute.internalNotes.push({ adminId: req.user._id, adminUsername: req.user.username, note });
+    await dispute.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: dispute.internalNotes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/disputes/:id/resolve
+// @desc    Resolve a dispute: refund, force_complete or cancel the deal
+// @access  Admin
+router.put('/disputes/:id/resolve', async (req, res, next) => {
+  try {
+    const { outcome, note } = req.body;
+    const { dispute, deal } = await findDispute(req, res);
+    if (!dispute) return;
+
+    await resolveDispute(dispute, deal, req.user, { outcome, note });
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved',
+      data: { ...dispute.toJSON(), sla: dispute.getSla(), deal }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ==================== AD MANAGEMENT ROUTES ====================
 
 // @route   GET /api/admin/ads
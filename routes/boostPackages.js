@@ -0,0 +1,34 @@
+import express from 'express';
+import BoostPackage from '../models/BoostPackage.js';
+import Settings from '../models/Settings.js';
+
+const router = express.Router();
+
+// @route   GET /api/boost-packages
+// @desc    Get boost packages available for purchase
+// @access  Public
+router.get('/', async (req, res, next) => {
+  try {
+    const packages = await BoostPackage.find({ isActive: true })
+      .sort('sortOrder price')
+      .select('name description price durationDays placement');
+
+    // Fall back to the standard boost from platform settings
+    if (packages.length === 0) {
+      const settings = await Settings.getSettings();
+      return res.json({
+        success: true,
+        data: [BoostPackage.getStandardPackage(settings)]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: packages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
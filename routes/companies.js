@@ -1,8 +1,17 @@
 import express from 'express';
 import Company from '../models/Company.js';
+import Listing from '../models/Listing.js';
+import { CANDLE_INTERVALS, getPriceCandles } from '../services/priceHistory.js';
 
 const router = express.Router();
 
+// Parse an optional date query param; null if it was given but isn't a valid date
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
 // @route   GET /api/companies
 // @desc    Get all companies
 // @access  Public
@@ -73,4 +82,139 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/companies/:id/orderbook
+// @desc    Get order book depth (asks from sell posts, bids from buy requests)
+// @access  Public
+router.get('/:id/orderbook', async (req, res, next) => {
+  try {
+    const depth = Math.min(parseInt(req.query.depth) || 20, 100);
+
+    const company = await Company.findById(req.params.id).select('name scriptName logo sector');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    // Group active public listings into price levels on the fee-inclusive display price
+    const levels = await Listing.aggregate([
+      {
+        $match: {
+          ...Listing.visibleToFilter(null),
+          companyId: company._id,
+          status: 'active',
+          expiresAt: { $gt: new Date() }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            type: '$type',
+            price: { $round: [{ $ifNull: ['$displayPrice', '$price'] }, 2] }
+          },
+          quantity: { $sum: { $ifNull: ['$remainingQuantity', '$quantity'] } },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { quantity: { $gt: 0 } } }
+    ]);
+
+    const toLevel = (level) => ({
+      price: level._id.price,
+      quantity: level.quantity,
+      count: level.count
+    });
+
+    // Asks: cheapest first. Bids: highest first.
+    const asks = levels
+      .filter(level => level._id.type === 'sell')
+      .map(toLevel)
+      .sort((a, b) => a.price - b.price)
+      .slice(0, depth);
+    const bids = levels
+      .filter(level => level._id.type === 'buy')
+      .map(toLevel)
+      .sort((a, b) => b.price - a.price)
+      .slice(0, depth);
+
+    const bestAsk = asks[0]?.price ?? null;
+    const bestBid = bids[0]?.price ?? null;
+    const spread = bestAsk !== null && bestBid !== null ? bestAsk - bestBid : null;
+
+    res.json({
+      success: true,
+      data: {
+        company,
+        asks,
+        bids,
+        bestAsk,
+        bestBid,
+        spread: spread !== null ? Number(spread.toFixed(2)) : null,
+        spreadPercentage: spread !== null && bestAsk ? Number(((spread / bestAsk) * 100).toFixed(2)) : null,
+        timestamp: new Date()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/companies/:id/price-history
+// @desc    Get OHLC candles and volume from executed deals
+// @access  Public
+router.get('/:id/price-history', async (req, res, next) => {
+  try {
+    const { interval = '1d', from, to } = req.query;
+
+    if (!CANDLE_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of ${Object.keys(CANDLE_INTERVALS).join(', ')}`
+      });
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const company = await Company.findById(req.params.id).select('name lastTradedPrice lastTradedAt');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const candles = await getPriceCandles(company._id, interval, { from: fromDate, to: toDate });
+
+    res.json({
+      success: true,
+      data: {
+        interval,
+        lastTradedPrice: company.lastTradedPrice,
+        lastTradedAt: company.lastTradedAt,
+        candles
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,735 @@
+import express from 'express';
+import multer from 'multer';
+import Deal from '../models/Deal.js';
+import DealMessage, { MAX_MESSAGE_LENGTH } from '../models/DealMessage.js';
+import Dispute, { DISPUTE_CATEGORIES, MAX_DISPUTE_TEXT_LENGTH } from '../models/Dispute.js';
+import Notification from '../models/Notification.js';
+import Rating, { MAX_REVIEW_LENGTH, RATING_TAGS } from '../models/Rating.js';
+import Settings from '../models/Settings.js';
+import { protect } from '../middleware/auth.js';
+import { notifyDealParties, settleDeal } from '../services/dealService.js';
+import { addDisputeEvidence, raiseDispute } from '../services/disputeService.js';
+import { updateReputation } from '../services/reputation.js';
+
+const router = express.Router();
+
+const MAX_ATTACHMENTS = 3;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+// Chat attachments and dispute evidence are kept in memory and stored with their document
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB per file keeps a message under the document size limit
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only JPEG, PNG, WebP images and PDF files are allowed');
+      error.status = 400;
+      cb(error, false);
+    }
+  }
+});
+
+// Accept up to MAX_ATTACHMENTS files on `field`; too large or too many files are client errors too
+const uploadFiles = (field) => (req, res, next) => upload.array(field, MAX_ATTACHMENTS)(req, res, (error) => {
+  if (error instanceof multer.MulterError) error.status = 400;
+  next(error);
+});
+
+// Send a stored attachment/evidence file as a download
+const sendFile = (res, file) => {
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`
+  });
+  res.send(file.data);
+};
+
+// Load a deal and make sure the current user is one of its parties
+const findPartyDeal = async (req, res) => {
+  const deal = await Deal.findById(req.params.id);
+
+  if (!deal) {
+    res.status(404).json({
+      success: false,
+      message: 'Deal not found'
+    });
+    return {};
+  }
+
+  const role = deal.getRole(req.user._id);
+  if (!role && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this deal'
+    });
+    return {};
+  }
+
+  return { deal, role };
+};
+
+// Load the latest dispute on a deal the current user is party to (or admin)
+const findDealDispute = async (req, res) => {
+  const { deal, role } = await findPartyDeal(req, res);
+  if (!deal) return {};
+
+  const dispute = await Dispute.findOne({ dealId: deal._id }).sort('-createdAt');
+
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      message: 'No dispute has been raised on this deal'
+    });
+    return {};
+  }
+
+  return { deal, role, dispute };
+};
+
+// Deal chat is private to the parties; admins may read it once a dispute is raised
+const findChatDeal = async (req, res) => {
+  const { deal, role } = await findPartyDeal(req, res);
+  if (!deal) return {};
+
+  if (!role && !deal.disputedAt) {
+    res.status(403).json({
+      success: false,
+      message: 'Deal messages are only available to admins once a dispute is raised'
+    });
+    return {};
+  }
+
+  return { deal, role };
+};
+
+// @route   GET /api/deals/my
+// @desc    Get deals where current user is buyer or seller
+// @access  Private
+router.get('/my', protect, async (req, res, next) => {
+  try {
+    const { status, role } = req.query;
+
+    const query = role === 'buyer'
+      ? { buyerId: req.user._id }
+      : role === 'seller'
+        ? { sellerId: req.user._id }
+        : { $or: [{ buyerId: req.user._id }, { sellerId: req.user._id }] };
+
+    if (status) query.status = status;
+
+    const deals = await Deal.find(query)
+      .sort('-createdAt')
+      .populate('companyId', 'name logo sector');
+
+    const unreadCounts = await DealMessage.countUnread(req.user._id, deals.map(deal => deal._id));
+
+    res.json({
+      success: true,
+      data: deals.map(deal => ({
+        ...deal.toObject(),
+        unreadMessages: unreadCounts[deal._id.toString()] || 0
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/deals/unread-messages
+// @desc    Get unread chat message counts across the current user's deals
+// @access  Private
+router.get('/unread-messages', protect, async (req, res, next) => {
+  try {
+    const dealIds = await Deal.find({
+      $or: [{ buyerId: req.user._id }, { sellerId: req.user._id }]
+    }).distinct('_id');
+
+    const byDeal = await DealMessage.countUnread(req.user._id, dealIds);
+
+    res.json({
+      success: true,
+      data: {
+        total: Object.values(byDeal).reduce((sum, count) => sum + count, 0),
+        byDeal
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/deals/:id
+// @desc    Get a single deal
+// @access  Private (deal parties or admin)
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    const ratings = await Rating.find({ dealId: deal._id });
+
+    res.json({
+      success: true,
+      data: deal,
+      role,
+      ratings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/payment-sent
+// @desc    Buyer confirms payment has been sent
+// @access  Private (buyer only)
+router.put('/:id/payment-sent', protect, async (req, res, next) => {
+  try {
+    const { paymentReference } = req.body;
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (role !== 'buyer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer can confirm payment sent'
+      });
+    }
+
+    if (deal.status !== 'awaiting_payment') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment can only be marked sent while awaiting payment'
+      });
+    }
+
+    deal.buyerConfirmations.paymentSentAt = new Date();
+    if (paymentReference) deal.paymentReference = paymentReference;
+    deal.statusHistory.push({ status: deal.status, by: 'buyer', userId: req.user._id, note: 'Payment sent' });
+    await deal.save();
+
+    await notifyDealParties(deal, {
+      actorId: req.user._id,
+      message: `Buyer has sent payment for ${deal.quantity} shares of ${deal.companyName}. Please confirm once received.`
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment marked as sent',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/payment-received
+// @desc    Seller confirms payment has been received
+// @access  Private (seller only)
+router.put('/:id/payment-received', protect, async (req, res, next) => {
+  try {
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (role !== 'seller') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seller can confirm payment received'
+      });
+    }
+
+    deal.sellerConfirmations.paymentReceivedAt = new Date();
+    deal.transitionTo('payment_confirmed', { by: 'seller', userId: req.user._id });
+    await deal.save();
+
+    await notifyDealParties(deal, { actorId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/shares-transferred
+// @desc    Seller confirms shares have been transferred
+// @access  Private (seller only)
+router.put('/:id/shares-transferred', protect, async (req, res, next) => {
+  try {
+    const { transferReference } = req.body;
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (role !== 'seller') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seller can confirm share transfer'
+      });
+    }
+
+    deal.sellerConfirmations.sharesTransferredAt = new Date();
+    if (transferReference) deal.transferReference = transferReference;
+    deal.transitionTo('shares_transferred', { by: 'seller', userId: req.user._id });
+    await deal.save();
+
+    await notifyDealParties(deal, { actorId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Share transfer confirmed',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/shares-received
+// @desc    Buyer confirms shares received, completing the deal
+// @access  Private (buyer only)
+router.put('/:id/shares-received', protect, async (req, res, next) => {
+  try {
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (role !== 'buyer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer can confirm shares received'
+      });
+    }
+
+    deal.buyerConfirmations.sharesReceivedAt = new Date();
+    deal.transitionTo('completed', { by: 'buyer', userId: req.user._id });
+    await deal.save();
+
+    await settleDeal(deal);
+    await notifyDealParties(deal);
+
+    res.json({
+      success: true,
+      message: 'Deal completed successfully',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/cancel
+// @desc    Cancel a deal before payment is confirmed
+// @access  Private (deal parties)
+router.put('/:id/cancel', protect, async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only deal parties can cancel a deal'
+      });
+    }
+
+    if (deal.status !== 'awaiting_payment') {
+      return res.status(400).json({
+        success: false,
+        message: 'Deal can only be cancelled before payment is confirmed. Please raise a dispute instead.'
+      });
+    }
+
+    deal.cancelledBy = role;
+    deal.cancellationReason = reason;
+    deal.transitionTo('cancelled', { by: role, userId: req.user._id, note: reason });
+    await deal.save();
+
+    await settleDeal(deal);
+    await notifyDealParties(deal, { actorId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Deal cancelled',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/dispute
+// @desc    Raise a dispute for admin review (multipart: category, description, evidence[])
+// @access  Private (deal parties)
+router.put('/:id/dispute', protect, uploadFiles('evidence'), async (req, res, next) => {
+  try {
+    const { category } = req.body;
+    const description = typeof req.body.description === 'string' ? req.body.description.trim() : '';
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only deal parties can dispute a deal'
+      });
+    }
+
+    if (!DISPUTE_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${DISPUTE_CATEGORIES.join(', ')}`
+      });
+    }
+
+    if (!description || description.length > MAX_DISPUTE_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Description is required (at most ${MAX_DISPUTE_TEXT_LENGTH} characters)`
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const dispute = await raiseDispute(deal, req.user, role, { category, description, files: req.files || [] }, settings);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute raised. Our team will review it shortly.',
+      data: { deal, dispute }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/deals/:id/dispute
+// @desc    Get the dispute on a deal with its timeline and SLA timers
+// @access  Private (deal parties or admin)
+router.get('/:id/dispute', protect, async (req, res, next) => {
+  try {
+    const { dispute } = await findDealDispute(req, res);
+    if (!dispute) return;
+
+    res.json({
+      success: true,
+      data: { ...dispute.toJSON(), sla: dispute.getSla() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/deals/:id/dispute/evidence
+// @desc    Add evidence files to an open dispute (multipart: evidence[])
+// @access  Private (deal parties)
+router.post('/:id/dispute/evidence', protect, uploadFiles('evidence'), async (req, res, next) => {
+  try {
+    const { deal, role, dispute } = await findDealDispute(req, res);
+    if (!dispute) return;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only deal parties can add evidence'
+      });
+    }
+
+    await addDisputeEvidence(dispute, deal, req.user, role, req.files || []);
+
+    res.json({
+      success: true,
+      message: 'Evidence added',
+      data: dispute
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/deals/:id/dispute/evidence/:evidenceId
+// @desc    Download a dispute evidence file
+// @access  Private (deal parties or admin)
+router.get('/:id/dispute/evidence/:evidenceId', protect, async (req, res, next) => {
+  try {
+    const { deal } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    const dispute = await Dispute.findOne({ dealId: deal._id, 'evidence._id': req.params.evidenceId })
+      .select('+evidence.data');
+    const evidence = dispute?.evidence.id(req.params.evidenceId);
+
+    if (!evidence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found'
+      });
+    }
+
+    sendFile(res, evidence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/deals/:id/rating
+// @desc    Rate the other party of a completed deal (stars, tags, short review)
+// @access  Private (deal parties)
+router.post('/:id/rating', protect, async (req, res, next) => {
+  try {
+    const { stars, tags = [], review } = req.body;
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only deal parties can rate a deal'
+      });
+    }
+
+    if (deal.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Deals can only be rated once completed'
+      });
+    }
+
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stars must be a whole number from 1 to 5'
+      });
+    }
+
+    if (!Array.isArray(tags) || tags.some(tag => !RATING_TAGS.includes(tag))) {
+      return res.status(400).json({
+        success: false,
+        message: `Tags must be any of: ${RATING_TAGS.join(', ')}`
+      });
+    }
+
+    if (review && (typeof review !== 'string' || review.trim().length > MAX_REVIEW_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Review must be at most ${MAX_REVIEW_LENGTH} characters`
+      });
+    }
+
+    const existing = await Rating.exists({ dealId: deal._id, raterId: req.user._id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already rated this deal'
+      });
+    }
+
+    const rateeId = role === 'buyer' ? deal.sellerId : deal.buyerId;
+    const rating = await Rating.create({
+      dealId: deal._id,
+      raterId: req.user._id,
+      raterUsername: req.user.username,
+      raterRole: role,
+      rateeId,
+      stars,
+      tags: [...new Set(tags)],
+      review: review || null,
+      companyName: deal.companyName
+    });
+
+    await updateReputation(rateeId);
+
+    await Notification.create({
+      userId: rateeId,
+      type: 'rating_received',
+      title: 'New Rating Received',
+      message: `@${req.user.username} rated your ${deal.companyName} deal ${stars} star${stars === 1 ? '' : 's'}.`,
+      data: {
+        dealId: deal._id,
+        fromUser: req.user.username,
+        companyName: deal.companyName
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rating submitted',
+      data: rating
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/deals/:id/messages
+// @desc    Get the deal chat, newest page first (?before=<ISO date> for older messages)
+// @access  Private (deal parties, or admin once a dispute is raised)
+router.get('/:id/messages', protect, async (req, res, next) => {
+  try {
+    const { before, limit = 50 } = req.query;
+    const { deal, role } = await findChatDeal(req, res);
+    if (!deal) return;
+
+    const query = { dealId: deal._id };
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    const pageSize = Math.min(parseInt(limit) || 50, 100);
+    const messages = await DealMessage.find(query)
+      .sort('-createdAt')
+      .limit(pageSize);
+
+    const unreadCounts = role ? await DealMessage.countUnread(req.user._id, [deal._id]) : {};
+
+    res.json({
+      success: true,
+      data: messages.reverse(),
+      unreadCount: unreadCounts[deal._id.toString()] || 0,
+      hasMore: messages.length === pageSize
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/deals/:id/messages
+// @desc    Send a message with optional attachments (multipart: text, attachments[])
+// @access  Private (deal parties)
+router.post('/:id/messages', protect, uploadFiles('attachments'), async (req, res, next) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const files = req.files || [];
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only deal parties can send messages'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(deal.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send messages on a ${deal.status} deal`
+      });
+    }
+
+    if (!text && files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message text or an attachment is required'
+      });
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+
+    const message = await DealMessage.create({
+      dealId: deal._id,
+      senderId: req.user._id,
+      senderRole: role,
+      senderUsername: req.user.username,
+      text,
+      attachments: files.map(file => ({
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        data: file.buffer
+      }))
+    });
+
+    const preview = text
+      ? (text.length > 100 ? `${text.slice(0, 100)}…` : text)
+      : `sent ${files.length === 1 ? 'an attachment' : `${files.length} attachments`}`;
+
+    await Notification.create({
+      userId: role === 'buyer' ? deal.sellerId : deal.buyerId,
+      type: 'deal_message',
+      title: 'New Deal Message',
+      message: `@${req.user.username} on your ${deal.companyName} deal: ${preview}`,
+      data: {
+        listingId: deal.listingId,
+        dealId: deal._id,
+        fromUser: req.user.username,
+        companyName: deal.companyName
+      }
+    });
+
+    // Don't echo the uploaded files back
+    const data = message.toObject();
+    data.attachments.forEach(attachment => delete attachment.data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/deals/:id/messages/read
+// @desc    Mark the other party's messages as read (read receipts)
+// @access  Private (deal parties)
+router.put('/:id/messages/read', protect, async (req, res, next) => {
+  try {
+    const { deal, role } = await findPartyDeal(req, res);
+    if (!deal) return;
+
+    // Admins reviewing a dispute don't send read receipts
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only deal parties can mark messages as read'
+      });
+    }
+
+    const result = await DealMessage.updateMany(
+      { dealId: deal._id, senderId: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Messages marked as read',
+      data: { marked: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/deals/:id/messages/:messageId/attachments/:attachmentId
+// @desc    Download a chat attachment
+// @access  Private (deal parties, or admin once a dispute is raised)
+router.get('/:id/messages/:messageId/attachments/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const { deal } = await findChatDeal(req, res);
+    if (!deal) return;
+
+    const message = await DealMessage.findOne({ _id: req.params.messageId, dealId: deal._id })
+      .select('+attachments.data');
+    const attachment = message?.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    sendFile(res, attachment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
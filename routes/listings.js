@@ -1,10 +1,43 @@
 import express from 'express';
-import Listing from '../models/Listing.js';
+import crypto from 'crypto';
+import Listing, { LISTING_VISIBILITIES } from '../models/Listing.js';
+import ListingQuestion, { MAX_QUESTION_LENGTH } from '../models/ListingQuestion.js';
+import ListingView from '../models/ListingView.js';
+import User from '../models/User.js';
 import Company from '../models/Company.js';
 import Notification from '../models/Notification.js';
-import ReferralTracking from '../models/ReferralTracking.js';
 import Settings from '../models/Settings.js';
-import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import BoostPackage from '../models/BoostPackage.js';
+import {
+  acceptBid,
+  counterBid,
+  countCounterRounds,
+  getBidArray,
+  getBidderRole,
+  getOwnerRole,
+  placeBid
+} from '../services/bidService.js';
+import {
+  applyBidPricing,
+  applyListingPricing,
+  getFeePercentage,
+  getListingFeePercentage
+} from '../services/feeEngine.js';
+import {
+  checkNewListingLimits,
+  checkTradeAmount,
+  getListingExpiryDate
+} from '../services/tradingLimits.js';
+import { notifyWatchers } from '../services/watchlistAlerts.js';
+import { matchSavedSearches } from '../services/savedSearchAlerts.js';
+import { findMatches, notifyMatches } from '../services/listingMatcher.js';
+import { runStandingOrders } from '../services/standingOrders.js';
+import { getAuctionLadder } from '../services/auctionService.js';
+import { getListingAnalytics, recordListingView } from '../services/listingAnalytics.js';
+import { withBidderReputations } from '../services/reputation.js';
+import { getBidderName, getIdentity, maskListing, maskListings } from '../services/anonymity.js';
+import { buildCursorFilter, decodeCursor, encodeCursor, getCursorValues } from '../utils/cursor.js';
 import { protect, optionalAuth } from '../middleware/auth.js';
 import { 
   validateListing, 
@@ -16,59 +49,331 @@ import {
 
 const router = express.Router();
 
+// Load a listing and the current user's own bid/offer on it
+const findOwnBid = async (req, res) => {
+  const listing = await Listing.findById(req.params.listingId);
+
+  if (!listing) {
+    res.status(404).json({
+      success: false,
+      message: 'Listing not found'
+    });
+    return {};
+  }
+
+  const bid = getBidArray(listing).id(req.params.bidId);
+
+  if (!bid || bid.userId.toString() !== req.user._id.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Bid not found'
+    });
+    return {};
+  }
+
+  return { listing, bid };
+};
+
+// Load a question on the current user's listing; responds and returns {} if not allowed
+const findOwnListingQuestion = async (req, res) => {
+  const listing = await Listing.findById(req.params.id).select('-bids -offers');
+
+  if (!listing) {
+    res.status(404).json({
+      success: false,
+      message: 'Listing not found'
+    });
+    return {};
+  }
+
+  if (listing.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized'
+    });
+    return {};
+  }
+
+  const question = await ListingQuestion.findOne({ _id: req.params.questionId, listingId: listing._id });
+
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return {};
+  }
+
+  return { listing, question };
+};
+
+const getQuestionTextError = (text, label) => {
+  if (typeof text !== 'string' || !text.trim()) return `${label} is required`;
+  if (text.trim().length > MAX_QUESTION_LENGTH) return `${label} must be at most ${MAX_QUESTION_LENGTH} characters`;
+  return null;
+};
+
+const AUTO_RULE_FIELDS = ['enabled', 'acceptPrice', 'acceptMinQuantity', 'rejectPrice', 'counterPrice'];
+
+// Pick auto rule fields from a request body; empty strings clear a rule
+const pickAutoRules = (body = {}) => AUTO_RULE_FIELDS.reduce((rules, field) => {
+  if (body[field] !== undefined) rules[field] = body[field] === '' ? null : body[field];
+  return rules;
+}, {});
+
+// Reject rules that contradict each other, e.g. a seller auto-rejecting above their accept price
+const getAutoRulesError = (type, { acceptPrice, rejectPrice, counterPrice }) => {
+  const isSell = type === 'sell';
+  const conflicts = (worse, better) => worse != null && better != null && (isSell ? worse > better : worse < better);
+
+  if (conflicts(rejectPrice, acceptPrice)) {
+    return `Auto-reject price must be ${isSell ? 'at or below' : 'at or above'} the auto-accept price`;
+  }
+  if (conflicts(rejectPrice, counterPrice)) {
+    return `Auto-counter price must be ${isSell ? 'at or above' : 'at or below'} the auto-reject price`;
+  }
+  return null;
+};
+
+// Parse an optional non-negative number query param; null if it was given but isn't one
+const parseNumberParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate a new auction's settings; returns an error message or null
+const getAuctionError = ({ minIncrement, endsAt, reservePrice } = {}, settings) => {
+  if (!(minIncrement > 0)) return 'Auction minimum increment must be greater than 0';
+  if (reservePrice != null && reservePrice < 0) return 'Reserve price cannot be negative';
+
+  const end = new Date(endsAt);
+  if (Number.isNaN(end.getTime()) || end <= new Date()) {
+    return 'Auction end time must be in the future';
+  }
+  if (end.getTime() - Date.now() > settings.listingExpiryDays * DAY_MS) {
+    return `Auctions can run for at most ${settings.listingExpiryDays} days`;
+  }
+  return null;
+};
+
+// Auction bids are binding and settled when the auction closes
+const rejectAuctionBidAction = (listing, res) => {
+  if (!listing.auction) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Auction bids are settled automatically when the auction closes'
+  });
+  return true;
+};
+
+const MAX_INVITED_USERS = 50;
+const PRIVATE_FIELDS = '+shareToken +invitedUsernames';
+
+const generateShareToken = () => crypto.randomBytes(24).toString('hex');
+
+const getShareUrl = (listing) =>
+  listing.shareToken ? `${process.env.FRONTEND_URL || ''}/listings/${listing._id}?token=${listing.shareToken}` : null;
+
+// Look up invited usernames; returns { users } or { error }
+const resolveInvitees = async (usernames = [], ownerId) => {
+  const wanted = [...new Set(usernames.map(username => String(username).trim().toLowerCase()))];
+  if (wanted.length > MAX_INVITED_USERS) {
+    return { error: `You can invite at most ${MAX_INVITED_USERS} users` };
+  }
+
+  const users = await User.find({ username: { $in: wanted }, _id: { $ne: ownerId } }).select('username');
+  const missing = wanted.filter(username => !users.some(user => user.username === username));
+  if (missing.length > 0) {
+    return { error: `Unknown or invalid usernames: ${missing.join(', ')}` };
+  }
+
+  return { users };
+};
+
+// Let newly invited users know about an invite-only listing
+const notifyInvitees = async (listing, users) => {
+  if (users.length === 0) return;
+  const { fromUser, mention } = await getIdentity(listing, { _id: listing.userId, username: listing.username });
+  await Notification.insertMany(users.map(user => ({
+    userId: user._id,
+    type: 'listing_invite',
+    title: 'You Are Invited to a Private Listing',
+    message: `${mention} shared a ${listing.type === 'sell' ? 'sell post' : 'buy request'} for ${listing.remainingQuantity ?? listing.quantity} shares of ${listing.companyName} with you.`,
+    data: {
+      listingId: listing._id,
+      fromUser,
+      amount: listing.displayPrice,
+      quantity: listing.remainingQuantity ?? listing.quantity,
+      companyName: listing.companyName
+    }
+  })));
+};
+
+// Sort options for the marketplace; price sorts use the fee-inclusive display price
+const LISTING_SORTS = {
+  '-createdAt': ['createdAt', -1],
+  createdAt: ['createdAt', 1],
+  price: ['displayPrice', 1],
+  '-price': ['displayPrice', -1],
+  displayPrice: ['displayPrice', 1],
+  '-displayPrice': ['displayPrice', -1],
+  totalValue: ['totalValue', 1],
+  '-totalValue': ['totalValue', -1]
+};
+
 // @route   GET /api/listings
 // @desc    Get all active listings (marketplace)
 // @access  Public (with optional auth to filter own listings)
 router.get('/', optionalAuth, async (req, res, next) => {
   try {
     const { 
-      type, // 'sell' or 'buy'
+      type, // 'sell', 'buy' or 'auction'
       companyId, 
       search,
-      sort = '-createdAt', // -createdAt, price, -price
+      minPrice,
+      maxPrice,
+      companySegmentation,
+      sector,
+      minLot, // Only listings whose minimum lot is at most this many shares
+      noBids, // 'true' for listings that have no bids/offers yet
+      boostPlacement,
+      sort = '-createdAt', // -createdAt, createdAt, price, -price, totalValue, -totalValue
+      cursor, // Opts into cursor pagination; pass it empty for the first page
       page = 1,
       limit = 20
     } = req.query;
 
-    const query = { status: 'active' };
+    const minPriceValue = parseNumberParam(minPrice);
+    const maxPriceValue = parseNumberParam(maxPrice);
+    const minLotValue = parseNumberParam(minLot);
+    if (minPriceValue === null || maxPriceValue === null || minLotValue === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'minPrice, maxPrice and minLot must be non-negative numbers'
+      });
+    }
+
+    // Unlisted listings never show; invite-only ones only to invited users
+    const query = { status: 'active', $and: [Listing.visibleToFilter(req.user)] };
 
-    // Filter by type
-    if (type) query.type = type;
+    // Filter by type; auctions are sell posts with an auction attached
+    if (type === 'auction') {
+      query.type = 'sell';
+      query.auction = { $ne: null };
+    } else if (type) {
+      query.type = type;
+    }
 
     // Filter by company
     if (companyId) query.companyId = companyId;
 
+    // Filter by company sector
+    if (sector) {
+      const sectorCompanyIds = await Company.find({ sector }).distinct('_id');
+      query.companyId = companyId
+        ? { $in: sectorCompanyIds.filter(id => id.toString() === companyId) }
+        : { $in: sectorCompanyIds };
+    }
+
     // Search by company name
     if (search) {
       query.companyName = { $regex: search, $options: 'i' };
     }
 
+    // Filter by display price range
+    if (minPriceValue !== undefined || maxPriceValue !== undefined) {
+      query.displayPrice = {};
+      if (minPriceValue !== undefined) query.displayPrice.$gte = minPriceValue;
+      if (maxPriceValue !== undefined) query.displayPrice.$lte = maxPriceValue;
+    }
+
+    if (companySegmentation) query.companySegmentation = companySegmentation;
+
+    if (minLotValue !== undefined) query.minLot = { $lte: minLotValue };
+
+    // Boosted listings for a placement, e.g. homepage or top of a company page
+    if (boostPlacement) {
+      query.isBoosted = true;
+      query.boostPlacement = boostPlacement;
+    }
+
+    if (noBids === 'true') {
+      query['bids.0'] = { $exists: false };
+      query['offers.0'] = { $exists: false };
+    }
+
     // Hide own listings if user is logged in
     if (req.user) {
       query.userId = { $ne: req.user._id };
     }
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
+    // Boosted listings first, then the requested order, _id as tie-breaker
+    const [sortField, sortOrder] = LISTING_SORTS[sort] || LISTING_SORTS['-createdAt'];
+    const sortKeys = [['isBoosted', -1], [sortField, sortOrder], ['_id', sortOrder]];
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+    // Page-number pagination unless a cursor is sent (counts the whole result set)
+    if (cursor === undefined) {
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const skip = (pageNumber - 1) * pageSize;
+
+      const listings = await Listing.find(query)
+        .sort(Object.fromEntries(sortKeys))
+        .skip(skip)
+        .limit(pageSize)
+        .populate('userId', 'username avatar fullName isVerified reputation')
+        .populate('companyId', 'CompanyName ScripName Logo Sector name logo sector PAN ISIN CIN pan isin cin');
+
+      const total = await Listing.countDocuments(query);
+
+      return res.json({
+        success: true,
+        data: await maskListings(await withBidderReputations(listings), req.user),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize)
+        }
+      });
+    }
+
+    // Cursor pagination for infinite scroll
+    if (cursor) {
+      const cursorValues = decodeCursor(cursor);
+      if (!cursorValues || cursorValues.length !== sortKeys.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      query.$and.push(buildCursorFilter(sortKeys, cursorValues));
+    }
 
-    // Fetch listings with boosted ones first
+    // Fetch one extra to know if there is another page
     const listings = await Listing.find(query)
-      .sort({ isBoosted: -1, [sort]: 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('userId', 'username avatar fullName')
+      .sort(Object.fromEntries(sortKeys))
+      .limit(pageSize + 1)
+      .populate('userId', 'username avatar fullName isVerified reputation')
       .populate('companyId', 'CompanyName ScripName Logo Sector name logo sector PAN ISIN CIN pan isin cin');
 
-    const total = await Listing.countDocuments(query);
+    const hasMore = listings.length > pageSize;
+    if (hasMore) listings.pop();
 
+    // Anonymous listings show pseudonyms instead of the owner and bidders;
+    // reputations are shown either way
     res.json({
       success: true,
-      data: listings,
+      data: await maskListings(await withBidderReputations(listings), req.user),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(getCursorValues(listings[listings.length - 1], sortKeys))
+          : null
       }
     });
   } catch (error) {
@@ -89,12 +394,14 @@ router.get('/my', protect, async (req, res, next) => {
     if (status) query.status = status;
 
     const listings = await Listing.find(query)
+      .select(`+autoRules ${PRIVATE_FIELDS}`)
       .sort('-createdAt')
       .populate('companyId', 'CompanyName ScripName Logo Sector name logo sector PAN ISIN CIN pan isin cin');
 
+    // Bidders stay pseudonymous on anonymous listings until accepted
     res.json({
       success: true,
-      data: listings
+      data: await maskListings(await withBidderReputations(listings), req.user)
     });
   } catch (error) {
     next(error);
@@ -114,13 +421,17 @@ router.get('/my-placed-bids', protect, async (req, res, next) => {
       ]
     })
       .sort('-createdAt')
-      .populate('userId', 'username avatar fullName')
+      .populate('userId', 'username avatar fullName isVerified reputation')
       .populate('companyId', 'CompanyName ScripName Logo Sector name logo sector PAN ISIN CIN pan isin cin');
 
     // Extract user's bids and offers from listings
     const myActivity = [];
+    const settings = await Settings.getSettings();
     
     listings.forEach(listing => {
+      // Owners of anonymous listings stay hidden unless this user's bid was accepted
+      const owner = maskListing(listing, req.user, settings).userId;
+
       // Check bids array (for sell posts)
       if (listing.bids && listing.bids.length > 0) {
         listing.bids.forEach(bid => {
@@ -135,7 +446,8 @@ router.get('/my-placed-bids', protect, async (req, res, next) => {
                 companyId: listing.companyId,
                 listingPrice: listing.price,
                 listingQuantity: listing.quantity,
-                owner: listing.userId
+                remainingQuantity: listing.remainingQuantity,
+                owner
               },
               price: bid.price,
               quantity: bid.quantity,
@@ -162,7 +474,8 @@ router.get('/my-placed-bids', protect, async (req, res, next) => {
                 companyId: listing.companyId,
                 listingPrice: listing.price,
                 listingQuantity: listing.quantity,
-                owner: listing.userId
+                remainingQuantity: listing.remainingQuantity,
+                owner
               },
               price: offer.price,
               quantity: offer.quantity,
@@ -188,158 +501,224 @@ router.get('/my-placed-bids', protect, async (req, res, next) => {
   }
 });
 
-// @route   POST /api/listings
-// @desc    Create new listing
-// @access  Private
-router.post('/', protect, async (req, res, next) => {
+// @route   GET /api/listings/:id
+// @desc    Get a single listing and record the view (?token= for unlisted listings, ?ref= and ?placement= attribute it)
+// @access  Public (with optional auth for invite-only listings)
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
-    const { type, companyId, price, quantity, minLot, companySegmentation, description } = req.body;
+    const listing = await Listing.findById(req.params.id)
+      .select(`+autoRules ${PRIVATE_FIELDS}`)
+      .populate('userId', 'username avatar fullName isVerified reputation')
+      .populate('companyId', 'CompanyName ScripName Logo Sector name logo sector PAN ISIN CIN pan isin cin');
 
-    // Validate company exists
-    const company = await Company.findById(companyId);
-    if (!company) {
+    if (!listing || !listing.canView(req.user, req.query.token)) {
       return res.status(404).json({
         success: false,
-        message: 'Company not found'
+        message: 'Listing not found'
       });
     }
 
-    // Create listing
-    const listingData = {
-      userId: req.user._id,
-      username: req.user.username,
-      type,
-      companyId,
-      companyName: company.CompanyName || company.name,
-      companySegmentation: companySegmentation || null,
-      price, // Keep original for backward compatibility
-      quantity,
-      minLot: minLot || 1,
-      description
-    };
-
-    // Calculate platform fee fields
-    if (type === 'sell') {
-      // For SELL: Seller enters desired amount
-      listingData.sellerDesiredPrice = price;
-      listingData.displayPrice = price / 0.98; // Add 2% for buyer to pay
-      listingData.platformFee = listingData.displayPrice - price;
-    } else {
-      // For BUY: Buyer enters max budget
-      listingData.buyerMaxPrice = price;
-      listingData.displayPrice = price * 0.98; // Show 2% less to sellers
-      listingData.platformFee = price - listingData.displayPrice;
+    try {
+      await recordListingView(listing, {
+        user: req.user,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        referrer: req.query.ref || (req.query.token ? 'share_link' : 'direct'),
+        boostPlacement: req.query.placement
+      });
+    } catch (viewError) {
+      // Log error but don't fail the request
+      console.error('Failed to record listing view:', viewError);
     }
 
-    const listing = await Listing.create(listingData);
+    const settings = await Settings.getSettings();
+    const [withReputations] = await withBidderReputations([listing]);
+    const data = maskListing(withReputations, req.user, settings);
+    data.questions = await ListingQuestion.getThread(listing, req.user);
+    const isOwner = req.user && listing.userId._id.toString() === req.user._id.toString();
 
-    // Update company listings count
-    company.totalListings += 1;
-    await company.save();
+    // Sharing settings and auto rules are for the owner's eyes only
+    if (isOwner) {
+      data.shareUrl = getShareUrl(listing);
+    } else {
+      delete data.autoRules;
+      delete data.shareToken;
+      delete data.invitedUsernames;
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: `${type === 'sell' ? 'Sell post' : 'Buy request'} created successfully`,
-      data: listing
+      data
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/listings/:id/bid
-// @desc    Place bid on sell post or make offer on buy request
+// @route   POST /api/listings
+// @desc    Create new listing
 // @access  Private
-router.post('/:id/bid', protect, async (req, res, next) => {
+router.post('/', protect, async (req, res, next) => {
   try {
-    const { price, quantity, message } = req.body;
-    const listing = await Listing.findById(req.params.id);
+    const {
+      companyId,
+      price,
+      quantity,
+      minLot,
+      companySegmentation,
+      description,
+      autoRules,
+      auction,
+      visibility = 'public',
+      invitedUsernames,
+      anonymous
+    } = req.body;
+
+    // Auctions are sell posts with an auction attached
+    const isAuction = req.body.type === 'auction';
+    const type = isAuction ? 'sell' : req.body.type;
 
-    if (!listing) {
+    // Validate company exists
+    const company = await Company.findById(companyId);
+    if (!company) {
       return res.status(404).json({
         success: false,
-        message: 'Listing not found'
+        message: 'Company not found'
       });
     }
 
-    // Can't bid on own listing
-    if (listing.userId.toString() === req.user._id.toString()) {
+    const rules = autoRules ? pickAutoRules(autoRules) : null;
+    const rulesError = rules && getAutoRulesError(type, rules);
+    if (rulesError) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot bid on your own listing'
+        message: rulesError
       });
     }
 
-    // Check if listing is active
-    if (listing.status !== 'active') {
+    if (!LISTING_VISIBILITIES.includes(visibility)) {
       return res.status(400).json({
         success: false,
-        message: 'Listing is not active'
+        message: 'Invalid visibility'
+      });
+    }
+
+    let invitees = [];
+    if (visibility === 'invite_only') {
+      const { users, error } = await resolveInvitees(invitedUsernames, req.user._id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      invitees = users;
+    }
+
+    // Enforce platform trading limits
+    const settings = await Settings.getSettings();
+    const limitError = await checkNewListingLimits(req.user, settings, { price, quantity });
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        ...limitError
       });
     }
 
-    // Add bid/offer
-    const bidData = {
+    if (isAuction) {
+      const auctionError = rules
+        ? 'Auto rules are not available for auctions'
+        : getAuctionError(auction, settings);
+      if (auctionError) {
+        return res.status(400).json({
+          success: false,
+          message: auctionError
+        });
+      }
+    }
+
+    // Create listing
+    const listingData = {
       userId: req.user._id,
       username: req.user.username,
-      price, // Keep original
+      type,
+      companyId,
+      companyName: company.CompanyName || company.name,
+      companySegmentation: companySegmentation || null,
       quantity,
-      message,
-      counterHistory: []
+      minLot: minLot || 1,
+      description,
+      autoRules: rules,
+      visibility,
+      invitedUsernames: invitees.map(user => user.username),
+      shareToken: visibility === 'unlisted' ? generateShareToken() : null,
+      isAnonymous: settings.anonymityMode === 'always' || (settings.anonymityMode === 'optional' && Boolean(anonymous)),
+      expiresAt: getListingExpiryDate(settings)
     };
 
-    // Calculate platform fee fields
-    if (listing.type === 'sell') {
-      // Buyer is bidding - buyer enters amount they'll pay
-      bidData.buyerOfferedPrice = price;
-      bidData.sellerReceivesPrice = price * 0.98; // Seller gets 2% less
-      bidData.platformFee = price - bidData.sellerReceivesPrice;
-    } else {
-      // Seller is offering - seller enters amount they want to receive
-      bidData.sellerReceivesPrice = price;
-      bidData.buyerOfferedPrice = price / 0.98; // Buyer pays 2% more
-      bidData.platformFee = bidData.buyerOfferedPrice - price;
+    // Auction listings run until the auction closes
+    if (isAuction) {
+      const endsAt = new Date(auction.endsAt);
+      listingData.auction = {
+        reservePrice: auction.reservePrice ?? null,
+        minIncrement: auction.minIncrement,
+        endsAt,
+        originalEndsAt: endsAt,
+        antiSnipeMinutes: auction.antiSnipeMinutes
+      };
+      listingData.expiresAt = endsAt;
     }
 
-    if (listing.type === 'sell') {
-      listing.bids.push(bidData);
-    } else {
-      listing.offers.push(bidData);
+    // Calculate platform fee fields with the fee that currently applies
+    const feePercentage = await getFeePercentage({ company, companySegmentation });
+    applyListingPricing(listingData, price, feePercentage);
+
+    const listing = await Listing.create(listingData);
+
+    // Update company listings count
+    company.totalListings += 1;
+    await company.save();
+
+    // Alert users watching this company or with a matching saved search,
+    // and owners of crossing listings on the other side
+    try {
+      await notifyWatchers(listing);
+      await matchSavedSearches(listing);
+      await notifyMatches(listing);
+    } catch (alertError) {
+      // Log error but don't fail the listing creation
+      console.error('Failed to send listing alerts:', alertError);
     }
 
-    await listing.save();
+    // Auto-bid for standing buy orders this sell post satisfies
+    try {
+      await runStandingOrders(listing);
+    } catch (autoBidError) {
+      console.error('Failed to run standing orders:', autoBidError);
+    }
 
-    // Create notification for listing owner
-    await Notification.create({
-      userId: listing.userId,
-      type: listing.type === 'sell' ? 'new_bid' : 'new_offer',
-      title: listing.type === 'sell' ? 'New Bid Received' : 'New Offer Received',
-      message: `@${req.user.username} ${listing.type === 'sell' ? 'placed a bid' : 'made an offer'} of ₹${price} for ${quantity} shares`,
-      data: {
-        listingId: listing._id,
-        bidId: bidData._id,
-        fromUser: req.user.username,
-        amount: price,
-        quantity,
-        companyName: listing.companyName
-      }
-    });
+    try {
+      await notifyInvitees(listing, invitees);
+    } catch (inviteError) {
+      console.error('Failed to notify invited users:', inviteError);
+    }
 
     res.status(201).json({
       success: true,
-      message: listing.type === 'sell' ? 'Bid placed successfully' : 'Offer made successfully'
+      message: `${isAuction ? 'Auction' : type === 'sell' ? 'Sell post' : 'Buy request'} created successfully`,
+      data: { ...listing.toObject(), shareUrl: getShareUrl(listing) }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   PUT /api/listings/:id/boost
-// @desc    Boost a listing
-// @access  Private
-router.put('/:id/boost', protect, async (req, res, next) => {
+// @route   GET /api/listings/:id/matches
+// @desc    Get listings on the other side that cross this listing's price
+// @access  Private (listing owner only)
+router.get('/:id/matches', protect, async (req, res, next) => {
   try {
-    const listing = await Listing.findById(req.params.id);
+    const listing = await Listing.findById(req.params.id).select('-bids -offers');
 
     if (!listing) {
       return res.status(404).json({
@@ -348,7 +727,6 @@ router.put('/:id/boost', protect, async (req, res, next) => {
       });
     }
 
-    // Verify ownership
     if (listing.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
@@ -356,37 +734,25 @@ router.put('/:id/boost', protect, async (req, res, next) => {
       });
     }
 
-    // Set boost
-    listing.isBoosted = true;
-    listing.boostExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-    await listing.save();
-
-    // Create transaction record
-    const Transaction = (await import('../models/Transaction.js')).default;
-    await Transaction.create({
-      type: 'boost_fee',
-      listingId: listing._id,
-      sellerId: req.user._id,
-      amount: process.env.BOOST_PRICE || 100,
-      companyName: listing.companyName,
-      description: `Boost fee for ${listing.type} post`
-    });
+    const matches = await findMatches(listing);
+    const settings = await Settings.getSettings();
 
     res.json({
       success: true,
-      message: 'Listing boosted successfully for 24 hours'
+      count: matches.length,
+      data: matches.map(match => ({ ...match, listing: maskListing(match.listing, req.user, settings) }))
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   PUT /api/listings/:listingId/bids/:bidId/accept
-// @desc    Accept a bid/offer
+// @route   GET /api/listings/:id/analytics
+// @desc    Get views, bids received and view-to-bid conversion over time
 // @access  Private (listing owner only)
-router.put('/:listingId/bids/:bidId/accept', protect, async (req, res, next) => {
+router.get('/:id/analytics', protect, async (req, res, next) => {
   try {
-    const listing = await Listing.findById(req.params.listingId);
+    const listing = await Listing.findById(req.params.id);
 
     if (!listing) {
       return res.status(404).json({
@@ -395,142 +761,92 @@ router.put('/:listingId/bids/:bidId/accept', protect, async (req, res, next) =>
       });
     }
 
-    // Verify ownership
     if (listing.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to accept this bid'
+        message: 'Not authorized'
       });
     }
 
-    // Find bid in appropriate array
-    const bidArray = listing.type === 'sell' ? listing.bids : listing.offers;
-    const bid = bidArray.id(req.params.bidId);
+    res.json({
+      success: true,
+      data: await getListingAnalytics(listing)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!bid) {
+// @route   GET /api/listings/:id/ladder
+// @desc    Get the ranked bid ladder of an auction
+// @access  Public (same visibility rules as the listing)
+router.get('/:id/ladder', optionalAuth, async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select(`+auction.reservePrice ${PRIVATE_FIELDS}`);
+
+    if (!listing || !listing.auction || !listing.canView(req.user, req.query.token)) {
       return res.status(404).json({
         success: false,
-        message: 'Bid not found'
+        message: 'Auction not found'
       });
     }
 
-    // Update bid status
-    bid.status = 'accepted';
-    
-    // Mark listing as sold/completed when bid is accepted
-    listing.status = 'sold';
-    
-    await listing.save();
+    const settings = await Settings.getSettings();
 
-    // Create notification for bidder
-    await Notification.create({
-      userId: bid.userId,
-      type: 'bid_accepted',
-      title: 'Bid Accepted! 🎉',
-      message: `Your ${listing.type === 'sell' ? 'bid' : 'offer'} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName} has been accepted!`,
-      data: {
-        listingId: listing._id,
-        bidId: bid._id,
-        amount: bid.price,
-        quantity: bid.quantity,
-        companyName: listing.companyName
-      }
+    res.json({
+      success: true,
+      data: getAuctionLadder(listing, bid => getBidderName(listing, bid, req.user, settings))
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // ============ AUTOMATIC REFERRAL TRACKING ============
-    try {
-      // Get bidder's details to check for referral
-      const bidder = await User.findById(bid.userId).select('referredBy username fullName');
-      
-      if (bidder && bidder.referredBy) {
-        // Find the referrer
-        const referrer = await User.findOne({ 
-          $or: [
-            { username: bidder.referredBy },
-            { referralCode: bidder.referredBy }
-          ]
-        }).select('_id username referralCode fullName');
-
-        if (referrer) {
-          // Get platform settings for fee calculation
-          let settings = await Settings.findOne();
-          if (!settings) {
-            settings = await Settings.create({});
-          }
+// @route   POST /api/listings/:id/bid
+// @desc    Place bid on sell post or make offer on buy request
+// @access  Private
+router.post('/:id/bid', protect, async (req, res, next) => {
+  try {
+    const { price, quantity, message, shareToken } = req.body;
+    const listing = await Listing.findById(req.params.id).select(`+autoRules ${PRIVATE_FIELDS}`);
 
-          const platformFeePercentage = settings.platformFeePercentage || 2;
-          const referralCommissionPercentage = settings.referralCommissionPercentage || 10;
-
-          // Calculate amounts
-          const dealAmount = bid.price * bid.quantity;
-          const platformRevenue = (dealAmount * platformFeePercentage) / 100;
-          const referralAmount = (platformRevenue * referralCommissionPercentage) / 100;
-
-          // Create referral tracking entry
-          await ReferralTracking.create({
-            referrer: referrer._id,
-            referrerName: referrer.fullName || referrer.username,
-            referrerCode: referrer.referralCode,
-            referee: bidder._id,
-            refereeName: bidder.fullName || bidder.username,
-            listing: listing._id,
-            company: listing.companyId,
-            companyName: listing.companyName,
-            dealAmount,
-            quantity: bid.quantity,
-            pricePerShare: bid.price,
-            platformFeePercentage,
-            platformRevenue,
-            referralCommissionPercentage,
-            referralAmount,
-            dealType: listing.type,
-            status: 'pending'
-          });
-
-          // Update referrer's stats
-          await User.findByIdAndUpdate(referrer._id, {
-            $inc: { 
-              totalReferrals: 1,
-              totalEarnings: referralAmount 
-            }
-          });
-
-          // Notify referrer about earning
-          await Notification.create({
-            userId: referrer._id,
-            type: 'referral_earning',
-            title: '💰 Referral Earning!',
-            message: `You earned ₹${referralAmount.toFixed(2)} from ${bidder.fullName || bidder.username}'s deal of ${bid.quantity} ${listing.companyName} shares!`,
-            data: {
-              dealAmount,
-              referralAmount,
-              refereeName: bidder.fullName || bidder.username,
-              companyName: listing.companyName
-            }
-          });
-        }
-      }
-    } catch (referralError) {
-      // Log error but don't fail the bid acceptance
-      console.error('Error creating referral tracking:', referralError);
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
     }
-    // ============ END REFERRAL TRACKING ============
 
-    res.json({
+    const { bid, autoDecision } = await placeBid(listing, req.user, { price, quantity, message, shareToken });
+
+    res.status(201).json({
       success: true,
-      message: 'Bid accepted successfully'
+      message: listing.type === 'sell' ? 'Bid placed successfully' : 'Offer made successfully',
+      data: {
+        bidId: bid._id,
+        status: bid.status,
+        autoAction: autoDecision?.action || null,
+        dealId: autoDecision?.deal?._id
+      }
     });
   } catch (error) {
+    // Trading limit errors keep their structured { code, message, details } shape
+    if (error.limit) {
+      return res.status(400).json({
+        success: false,
+        ...error.limit
+      });
+    }
     next(error);
   }
 });
 
-// @route   PUT /api/listings/:listingId/bids/:bidId/reject
-// @desc    Reject a bid/offer
+// @route   PUT /api/listings/:id/auto-rules
+// @desc    Set or clear the owner's auto accept/reject/counter rules
 // @access  Private (listing owner only)
-router.put('/:listingId/bids/:bidId/reject', protect, async (req, res, next) => {
+router.put('/:id/auto-rules', protect, async (req, res, next) => {
   try {
-    const listing = await Listing.findById(req.params.listingId);
+    const listing = await Listing.findById(req.params.id).select('+autoRules');
 
     if (!listing) {
       return res.status(404).json({
@@ -543,13 +859,539 @@ router.put('/:listingId/bids/:bidId/reject', protect, async (req, res, next) =>
     if (listing.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to reject this bid'
+        message: 'Not authorized'
       });
     }
 
-    // Find bid in appropriate array
-    const bidArray = listing.type === 'sell' ? listing.bids : listing.offers;
-    const bid = bidArray.id(req.params.bidId);
+    if (listing.auction) {
+      return res.status(400).json({
+        success: false,
+        message: 'Auto rules are not available for auctions'
+      });
+    }
+
+    const rules = {
+      ...(listing.autoRules?.toObject() || {}),
+      ...pickAutoRules(req.body)
+    };
+
+    const rulesError = getAutoRulesError(listing.type, rules);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError
+      });
+    }
+
+    listing.autoRules = rules;
+    await listing.save();
+
+    res.json({
+      success: true,
+      message: 'Auto rules updated successfully',
+      data: listing.autoRules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:id/visibility
+// @desc    Change who can see a listing: public, unlisted or invite_only
+// @access  Private (listing owner only)
+router.put('/:id/visibility', protect, async (req, res, next) => {
+  try {
+    const { visibility, invitedUsernames } = req.body;
+    const listing = await Listing.findById(req.params.id).select(PRIVATE_FIELDS);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Verify ownership
+    if (listing.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const nextVisibility = visibility ?? listing.visibility;
+    if (!LISTING_VISIBILITIES.includes(nextVisibility)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid visibility'
+      });
+    }
+
+    let newInvitees = [];
+    if (nextVisibility === 'invite_only' && invitedUsernames !== undefined) {
+      const { users, error } = await resolveInvitees(invitedUsernames, req.user._id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      newInvitees = users.filter(user => !listing.invitedUsernames.includes(user.username));
+      listing.invitedUsernames = users.map(user => user.username);
+    }
+
+    listing.visibility = nextVisibility;
+    // Unlisted listings need a link to be reachable at all
+    if (nextVisibility === 'unlisted' && !listing.shareToken) {
+      listing.shareToken = generateShareToken();
+    }
+
+    await listing.save();
+    await notifyInvitees(listing, newInvitees);
+
+    res.json({
+      success: true,
+      message: 'Visibility updated successfully',
+      data: {
+        visibility: listing.visibility,
+        invitedUsernames: listing.invitedUsernames,
+        shareUrl: getShareUrl(listing)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/listings/:id/share-link
+// @desc    Generate a new share link (the previous link stops working)
+// @access  Private (listing owner only)
+router.post('/:id/share-link', protect, async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select(PRIVATE_FIELDS);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Verify ownership
+    if (listing.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    listing.shareToken = generateShareToken();
+    await listing.save();
+
+    res.json({
+      success: true,
+      message: 'Share link generated successfully',
+      data: {
+        shareToken: listing.shareToken,
+        shareUrl: getShareUrl(listing)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/listings/:id/share-link
+// @desc    Revoke the share link
+// @access  Private (listing owner only)
+router.delete('/:id/share-link', protect, async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select(PRIVATE_FIELDS);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Verify ownership
+    if (listing.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    listing.shareToken = null;
+    await listing.save();
+
+    res.json({
+      success: true,
+      message: listing.visibility === 'unlisted'
+        ? 'Share link revoked. Only you and existing bidders can reach this listing now.'
+        : 'Share link revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/listings/:id/questions
+// @desc    Ask a public question on a listing
+// @access  Private
+router.post('/:id/questions', protect, async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.id).select(`-bids -offers ${PRIVATE_FIELDS}`);
+
+    if (!listing || !listing.canView(req.user, req.query.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot ask a question on your own listing'
+      });
+    }
+
+    if (listing.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Listing is not active'
+      });
+    }
+
+    const questionError = getQuestionTextError(req.body.question, 'Question');
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: questionError
+      });
+    }
+
+    // Askers on anonymous listings appear under their pseudonym
+    const { fromUser, mention } = await getIdentity(listing, req.user);
+
+    const question = await ListingQuestion.create({
+      listingId: listing._id,
+      askerId: req.user._id,
+      askerName: fromUser,
+      question: req.body.question
+    });
+
+    await Notification.create({
+      userId: listing.userId,
+      type: 'listing_question',
+      title: 'New Question on Your Listing',
+      message: `${mention} asked about your ${listing.type === 'sell' ? 'sell post' : 'buy request'} for ${listing.companyName}: "${question.question}"`,
+      data: {
+        listingId: listing._id,
+        questionId: question._id,
+        fromUser,
+        companyName: listing.companyName
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question posted successfully',
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:id/questions/:questionId/answer
+// @desc    Answer (or edit the answer to) a question
+// @access  Private (listing owner only)
+router.put('/:id/questions/:questionId/answer', protect, async (req, res, next) => {
+  try {
+    const { listing, question } = await findOwnListingQuestion(req, res);
+    if (!question) return;
+
+    if (question.isHidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hidden questions cannot be answered'
+      });
+    }
+
+    const answerError = getQuestionTextError(req.body.answer, 'Answer');
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: answerError
+      });
+    }
+
+    const isFirstAnswer = !question.answer;
+    question.answer = req.body.answer;
+    question.answeredAt = new Date();
+    await question.save();
+
+    // Edits to an answer don't notify again
+    if (isFirstAnswer) {
+      const { askerId } = await ListingQuestion.findById(question._id).select('+askerId');
+      await Notification.create({
+        userId: askerId,
+        type: 'question_answered',
+        title: 'Your Question Was Answered',
+        message: `Your question on the ${listing.type === 'sell' ? 'sell post' : 'buy request'} for ${listing.companyName} has been answered: "${question.answer}"`,
+        data: {
+          listingId: listing._id,
+          questionId: question._id,
+          companyName: listing.companyName
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: isFirstAnswer ? 'Answer posted successfully' : 'Answer updated successfully',
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:id/questions/:questionId/hide
+// @desc    Hide an abusive question from the thread ({ hidden: false } restores it)
+// @access  Private (listing owner only)
+router.put('/:id/questions/:questionId/hide', protect, async (req, res, next) => {
+  try {
+    const { question } = await findOwnListingQuestion(req, res);
+    if (!question) return;
+
+    const { hidden = true } = req.body;
+
+    question.isHidden = Boolean(hidden);
+    question.hiddenAt = question.isHidden ? new Date() : null;
+    await question.save();
+
+    res.json({
+      success: true,
+      message: question.isHidden ? 'Question hidden' : 'Question restored',
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:id/boost
+// @desc    Boost a listing with a boost package (re-boosting extends the window)
+// @access  Private
+router.put('/:id/boost', protect, async (req, res, next) => {
+  try {
+    const { packageId } = req.body;
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Verify ownership
+    if (listing.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (listing.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active listings can be boosted'
+      });
+    }
+
+    // Resolve the package; without one, use the standard boost from settings
+    let boostPackage;
+    if (packageId) {
+      boostPackage = await BoostPackage.findOne({ _id: packageId, isActive: true });
+      if (!boostPackage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Boost package not found'
+        });
+      }
+    } else {
+      const settings = await Settings.getSettings();
+      boostPackage = BoostPackage.getStandardPackage(settings);
+    }
+
+    // Extend a running boost, otherwise start from now
+    const now = new Date();
+    const isExtension = listing.isBoosted && listing.boostExpiresAt > now;
+    const boostStart = isExtension ? listing.boostExpiresAt : now;
+
+    // An extension can't change the placement of time already paid for
+    if (isExtension && listing.boostPlacement !== boostPackage.placement) {
+      return res.status(400).json({
+        success: false,
+        message: `This listing is boosted on ${listing.boostPlacement} until ${listing.boostExpiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}. Only packages with the same placement can extend it.`
+      });
+    }
+
+    listing.isBoosted = true;
+    listing.boostPlacement = boostPackage.placement;
+    listing.boostPackageId = boostPackage._id;
+    listing.boostExpiresAt = new Date(boostStart.getTime() + boostPackage.durationDays * 24 * 60 * 60 * 1000);
+    await listing.save();
+
+    // Create transaction record
+    const transaction = await Transaction.create({
+      type: 'boost_fee',
+      listingId: listing._id,
+      sellerId: req.user._id,
+      amount: boostPackage.price,
+      companyName: listing.companyName,
+      description: `${boostPackage.name} (${boostPackage.durationDays} days) for ${listing.type} post`,
+      boostPackage: {
+        packageId: boostPackage._id,
+        name: boostPackage.name,
+        placement: boostPackage.placement,
+        durationDays: boostPackage.durationDays,
+        boostExpiresAt: listing.boostExpiresAt
+      }
+    });
+
+    await Notification.create({
+      userId: req.user._id,
+      type: 'boost_activated',
+      title: isExtension ? 'Boost Extended 🚀' : 'Boost Activated 🚀',
+      message: `Your ${listing.type === 'sell' ? 'sell post' : 'buy request'} for ${listing.companyName} is boosted until ${listing.boostExpiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`,
+      data: {
+        listingId: listing._id,
+        amount: boostPackage.price,
+        companyName: listing.companyName
+      }
+    });
+
+    res.json({
+      success: true,
+      message: isExtension
+        ? `Boost extended by ${boostPackage.durationDays} days`
+        : `Listing boosted successfully for ${boostPackage.durationDays} days`,
+      data: {
+        boostExpiresAt: listing.boostExpiresAt,
+        boostPlacement: listing.boostPlacement,
+        transactionId: transaction._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/accept
+// @desc    Accept a bid/offer
+// @access  Private (listing owner only)
+router.put('/:listingId/bids/:bidId/accept', protect, async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.listingId);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Verify ownership
+    if (listing.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to accept this bid'
+      });
+    }
+
+    // Find bid in appropriate array
+    const bid = getBidArray(listing).id(req.params.bidId);
+
+    if (!bid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bid not found'
+      });
+    }
+
+    if (rejectAuctionBidAction(listing, res)) return;
+
+    // Owner can only act while the bid is waiting on them
+    if (bid.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: bid.status === 'countered'
+          ? 'Waiting for the bidder to respond to your counter offer'
+          : `Cannot accept a bid that is ${bid.status}`
+      });
+    }
+
+    const deal = await acceptBid(listing, bid);
+
+    // Create notification for bidder
+    await Notification.create({
+      userId: bid.userId,
+      type: 'bid_accepted',
+      title: 'Bid Accepted! 🎉',
+      message: `Your ${listing.type === 'sell' ? 'bid' : 'offer'} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName} has been accepted!`,
+      data: {
+        listingId: listing._id,
+        bidId: bid._id,
+        dealId: deal._id,
+        amount: bid.price,
+        quantity: bid.quantity,
+        companyName: listing.companyName
+      }
+    });
+
+    res.json({
+      success: true,
+      message: listing.status === 'sold'
+        ? 'Bid accepted successfully'
+        : `Bid accepted successfully. ${listing.remainingQuantity} shares remain on this listing.`,
+      data: deal,
+      remainingQuantity: listing.remainingQuantity
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/reject
+// @desc    Reject a bid/offer
+// @access  Private (listing owner only)
+router.put('/:listingId/bids/:bidId/reject', protect, async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.listingId);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Verify ownership
+    if (listing.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reject this bid'
+      });
+    }
+
+    // Find bid in appropriate array
+    const bid = getBidArray(listing).id(req.params.bidId);
 
     if (!bid) {
       return res.status(404).json({
@@ -558,6 +1400,15 @@ router.put('/:listingId/bids/:bidId/reject', protect, async (req, res, next) =>
       });
     }
 
+    if (rejectAuctionBidAction(listing, res)) return;
+
+    if (!['pending', 'countered'].includes(bid.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject a bid that is ${bid.status}`
+      });
+    }
+
     // Update bid status
     bid.status = 'rejected';
     await listing.save();
@@ -610,8 +1461,7 @@ router.put('/:listingId/bids/:bidId/counter', protect, async (req, res, next) =>
     }
 
     // Find bid in appropriate array
-    const bidArray = listing.type === 'sell' ? listing.bids : listing.offers;
-    const bid = bidArray.id(req.params.bidId);
+    const bid = getBidArray(listing).id(req.params.bidId);
 
     if (!bid) {
       return res.status(404).json({
@@ -620,57 +1470,350 @@ router.put('/:listingId/bids/:bidId/counter', protect, async (req, res, next) =>
       });
     }
 
-    // Add to counter history
-    const round = (bid.counterHistory?.length || 0) + 1;
-    const counterData = {
-      round,
-      by: 'seller',
+    if (rejectAuctionBidAction(listing, res)) return;
+
+    // Owner can only counter while the bid is waiting on them
+    if (bid.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: bid.status === 'countered'
+          ? 'Waiting for the bidder to respond to your counter offer'
+          : `Cannot counter a bid that is ${bid.status}`
+      });
+    }
+
+    const result = await counterBid(listing, bid, {
+      by: getOwnerRole(listing),
       price,
-      quantity: quantity || bid.quantity,
-      message: message || '',
-      timestamp: new Date()
-    };
-    bid.counterHistory.push(counterData);
-
-    // Update bid status and price
-    bid.status = 'countered';
-    bid.price = price;
-    if (quantity) bid.quantity = quantity;
-
-    // Recalculate platform fee fields
-    if (listing.type === 'sell') {
-      // Seller is countering - seller enters desired amount
-      bid.sellerReceivesPrice = price;
-      bid.buyerOfferedPrice = price / 0.98; // Buyer pays 2% more
-      bid.platformFee = bid.buyerOfferedPrice - price;
-    } else {
-      // Seller is countering on BUY post - seller enters desired amount
-      bid.sellerReceivesPrice = price;
-      bid.buyerOfferedPrice = price / 0.98; // Buyer pays 2% more
-      bid.platformFee = bid.buyerOfferedPrice - price;
+      quantity,
+      message
+    });
+
+    if (result.expired) {
+      return res.json({
+        success: true,
+        message: `Maximum of ${result.maxCounterRounds} counter rounds reached. The ${listing.type === 'sell' ? 'bid' : 'offer'} has expired.`,
+        round: result.round,
+        roundsRemaining: 0,
+        expired: true
+      });
     }
-    
-    await listing.save();
 
     // Create notification for bidder
     await Notification.create({
       userId: bid.userId,
       type: 'bid_countered',
       title: 'Counter Offer Received',
-      message: `Counter offer on ${listing.companyName}: ₹${price} for ${quantity || bid.quantity} shares`,
+      message: `Counter offer on ${listing.companyName}: ₹${price} for ${bid.quantity} shares (round ${result.round} of ${result.maxCounterRounds})`,
+      data: {
+        listingId: listing._id,
+        bidId: bid._id,
+        amount: price,
+        quantity: bid.quantity,
+        companyName: listing.companyName,
+        round: result.round
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter offer sent successfully',
+      round: result.round,
+      roundsRemaining: result.maxCounterRounds - result.round
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/bidder-counter
+// @desc    Bidder counters the listing owner's counter offer
+// @access  Private (bidder only)
+router.put('/:listingId/bids/:bidId/bidder-counter', protect, async (req, res, next) => {
+  try {
+    const { price, quantity, message } = req.body;
+    const { listing, bid } = await findOwnBid(req, res);
+    if (!bid) return;
+
+    if (bid.status !== 'countered') {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only counter after the listing owner has countered'
+      });
+    }
+
+    const result = await counterBid(listing, bid, {
+      by: getBidderRole(listing),
+      price,
+      quantity,
+      message
+    });
+
+    if (result.expired) {
+      return res.json({
+        success: true,
+        message: `Maximum of ${result.maxCounterRounds} counter rounds reached. The ${listing.type === 'sell' ? 'bid' : 'offer'} has expired.`,
+        round: result.round,
+        roundsRemaining: 0,
+        expired: true
+      });
+    }
+
+    // Create notification for listing owner
+    const { fromUser, mention } = await getIdentity(listing, req.user);
+    await Notification.create({
+      userId: listing.userId,
+      type: 'counter_offer',
+      title: 'Counter Offer Received',
+      message: `${mention} countered on ${listing.companyName}: ₹${price} for ${bid.quantity} shares (round ${result.round} of ${result.maxCounterRounds})`,
       data: {
         listingId: listing._id,
         bidId: bid._id,
+        fromUser,
         amount: price,
-        quantity: quantity || bid.quantity,
+        quantity: bid.quantity,
         companyName: listing.companyName,
-        round
+        round: result.round
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter offer sent successfully',
+      round: result.round,
+      roundsRemaining: result.maxCounterRounds - result.round
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/accept-counter
+// @desc    Bidder accepts the listing owner's counter offer
+// @access  Private (bidder only)
+router.put('/:listingId/bids/:bidId/accept-counter', protect, async (req, res, next) => {
+  try {
+    const { listing, bid } = await findOwnBid(req, res);
+    if (!bid) return;
+
+    if (bid.status !== 'countered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no counter offer to accept'
+      });
+    }
+
+    const deal = await acceptBid(listing, bid);
+
+    // Create notification for listing owner
+    await Notification.create({
+      userId: listing.userId,
+      type: 'offer_accepted',
+      title: 'Counter Offer Accepted! 🎉',
+      message: `@${req.user.username} accepted your counter offer of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName}!`,
+      data: {
+        listingId: listing._id,
+        bidId: bid._id,
+        dealId: deal._id,
+        fromUser: req.user.username,
+        amount: bid.price,
+        quantity: bid.quantity,
+        companyName: listing.companyName
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter offer accepted successfully',
+      data: deal
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/reject-counter
+// @desc    Bidder rejects the listing owner's counter offer
+// @access  Private (bidder only)
+router.put('/:listingId/bids/:bidId/reject-counter', protect, async (req, res, next) => {
+  try {
+    const { listing, bid } = await findOwnBid(req, res);
+    if (!bid) return;
+
+    if (bid.status !== 'countered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no counter offer to reject'
+      });
+    }
+
+    bid.status = 'rejected';
+    await listing.save();
+
+    // Create notification for listing owner
+    const { fromUser, mention } = await getIdentity(listing, req.user);
+    await Notification.create({
+      userId: listing.userId,
+      type: 'offer_rejected',
+      title: 'Counter Offer Rejected',
+      message: `${mention} rejected your counter offer of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName}.`,
+      data: {
+        listingId: listing._id,
+        bidId: bid._id,
+        fromUser,
+        amount: bid.price,
+        quantity: bid.quantity,
+        companyName: listing.companyName
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter offer rejected successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/withdraw
+// @desc    Bidder withdraws their open bid/offer
+// @access  Private (bidder only)
+router.put('/:listingId/bids/:bidId/withdraw', protect, async (req, res, next) => {
+  try {
+    const { listing, bid } = await findOwnBid(req, res);
+    if (!bid) return;
+    if (rejectAuctionBidAction(listing, res)) return;
+
+    if (!['pending', 'countered'].includes(bid.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw a ${listing.type === 'sell' ? 'bid' : 'offer'} that is ${bid.status}`
+      });
+    }
+
+    bid.status = 'withdrawn';
+    await listing.save();
+
+    // Create notification for listing owner
+    const { fromUser, mention } = await getIdentity(listing, req.user);
+    await Notification.create({
+      userId: listing.userId,
+      type: 'bid_withdrawn',
+      title: listing.type === 'sell' ? 'Bid Withdrawn' : 'Offer Withdrawn',
+      message: `${mention} withdrew their ${listing.type === 'sell' ? 'bid' : 'offer'} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName}.`,
+      data: {
+        listingId: listing._id,
+        bidId: bid._id,
+        fromUser,
+        amount: bid.price,
+        quantity: bid.quantity,
+        companyName: listing.companyName
+      }
+    });
+
+    res.json({
+      success: true,
+      message: listing.type === 'sell' ? 'Bid withdrawn successfully' : 'Offer withdrawn successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/listings/:listingId/bids/:bidId/amend
+// @desc    Bidder amends price/quantity of their pending bid/offer
+// @access  Private (bidder only)
+router.put('/:listingId/bids/:bidId/amend', protect, async (req, res, next) => {
+  try {
+    const { price, quantity, message } = req.body;
+    const { listing, bid } = await findOwnBid(req, res);
+    if (!bid) return;
+    if (rejectAuctionBidAction(listing, res)) return;
+
+    if (price === undefined && quantity === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a new price or quantity'
+      });
+    }
+
+    if (listing.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Listing is not active'
+      });
+    }
+
+    if (bid.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: bid.status === 'countered'
+          ? 'The listing owner has countered. Respond to the counter offer instead.'
+          : `Cannot amend a ${listing.type === 'sell' ? 'bid' : 'offer'} that is ${bid.status}`
+      });
+    }
+
+    const newQuantity = quantity ?? bid.quantity;
+    const fillError = listing.getFillError(newQuantity);
+    if (fillError) {
+      return res.status(400).json({
+        success: false,
+        message: fillError
+      });
+    }
+
+    const previous = { price: bid.price, quantity: bid.quantity };
+    const bidderRole = getBidderRole(listing);
+    const newPrice = price ?? (bidderRole === 'buyer' ? bid.buyerOfferedPrice : bid.sellerReceivesPrice);
+
+    const settings = await Settings.getSettings();
+    const limitError = checkTradeAmount(req.user, settings, newPrice * newQuantity);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        ...limitError
+      });
+    }
+
+    // Record the amendment in the negotiation history
+    bid.counterHistory.push({
+      round: countCounterRounds(bid),
+      by: bidderRole,
+      action: 'amendment',
+      price: newPrice,
+      quantity: newQuantity,
+      message: message || `Amended from ₹${previous.price} x ${previous.quantity}`,
+      timestamp: new Date()
+    });
+
+    bid.quantity = newQuantity;
+    applyBidPricing(bid, newPrice, bidderRole, getListingFeePercentage(listing));
+    if (message !== undefined) bid.message = message;
+
+    await listing.save();
+
+    // Create notification for listing owner
+    const { fromUser, mention } = await getIdentity(listing, req.user, { settings });
+    await Notification.create({
+      userId: listing.userId,
+      type: 'bid_amended',
+      title: listing.type === 'sell' ? 'Bid Updated' : 'Offer Updated',
+      message: `${mention} updated their ${listing.type === 'sell' ? 'bid' : 'offer'} on ${listing.companyName} from ₹${previous.price} x ${previous.quantity} to ₹${newPrice} x ${newQuantity}`,
+      data: {
+        listingId: listing._id,
+        bidId: bid._id,
+        fromUser,
+        amount: newPrice,
+        quantity: newQuantity,
+        companyName: listing.companyName
       }
     });
 
     res.json({
       success: true,
-      message: 'Counter offer sent successfully'
+      message: listing.type === 'sell' ? 'Bid updated successfully' : 'Offer updated successfully',
+      data: bid
     });
   } catch (error) {
     next(error);
@@ -708,25 +1851,60 @@ router.put('/:id', protect, async (req, res, next) => {
       });
     }
 
+    // Auction terms are fixed once bidding has started
+    if (listing.auction && listing.bids.length > 0 && (price !== undefined || quantity !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the price or quantity of an auction that has bids'
+      });
+    }
+
+    // Enforce platform trade amount limits on the new terms
+    if (price !== undefined || quantity !== undefined) {
+      const settings = await Settings.getSettings();
+      const limitError = checkTradeAmount(req.user, settings, (price ?? listing.price) * (quantity ?? listing.quantity));
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          ...limitError
+        });
+      }
+    }
+
     // Update fields
     if (price !== undefined) {
-      listing.price = price;
-      // Recalculate platform fee fields
-      if (listing.type === 'sell') {
-        listing.sellerDesiredPrice = price;
-        listing.displayPrice = price / 0.98;
-        listing.platformFee = listing.displayPrice - price;
-      } else {
-        listing.buyerMaxPrice = price;
-        listing.displayPrice = price * 0.98;
-        listing.platformFee = price - listing.displayPrice;
+      // Re-price with the fee that currently applies
+      const feePercentage = await getFeePercentage({
+        companyId: listing.companyId,
+        companySegmentation: listing.companySegmentation
+      });
+      applyListingPricing(listing, price, feePercentage);
+    }
+    if (quantity !== undefined) {
+      // Shares already taken by accepted bids can't be removed
+      const filledQuantity = listing.quantity - (listing.remainingQuantity ?? listing.quantity);
+      if (quantity < filledQuantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity cannot be less than the ${filledQuantity} shares already filled`
+        });
       }
+      listing.quantity = quantity;
+      listing.remainingQuantity = quantity - filledQuantity;
     }
-    if (quantity !== undefined) listing.quantity = quantity;
     if (minQuantity !== undefined) listing.minLot = minQuantity;
     
     await listing.save();
 
+    // A price change can bring the listing into a saved search's range,
+    // and new terms can cross listings on the other side
+    try {
+      if (price !== undefined) await matchSavedSearches(listing);
+      await notifyMatches(listing);
+    } catch (alertError) {
+      console.error('Failed to send listing alerts:', alertError);
+    }
+
     res.json({
       success: true,
       message: 'Listing updated successfully',
@@ -794,8 +1972,10 @@ router.delete('/:id', protect, async (req, res, next) => {
       }
     }
 
-    // Delete the listing
+    // Delete the listing with its Q&A thread and view history
     await listing.deleteOne();
+    await ListingQuestion.deleteMany({ listingId: listing._id });
+    await ListingView.deleteMany({ listingId: listing._id });
 
     res.json({
       success: true,
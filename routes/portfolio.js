@@ -16,6 +16,7 @@ router.get('/stats', protect, async (req, res, next) => {
     // Get all completed transactions for the user
     const transactions = await Transaction.find({
       $or: [{ buyerId: userId }, { sellerId: userId }],
+      type: 'platform_fee', // One per settled deal; refunds and boost fees aren't trades
       status: 'completed'
     });
 
@@ -67,6 +68,7 @@ router.get('/holdings', protect, async (req, res, next) => {
     // Get all completed transactions
     const transactions = await Transaction.find({
       $or: [{ buyerId: userId }, { sellerId: userId }],
+      type: 'platform_fee',
       status: 'completed'
     }).populate('listingId', 'companyName companyId price');
 
@@ -74,7 +76,7 @@ router.get('/holdings', protect, async (req, res, next) => {
     const holdingsMap = {};
 
     for (const tx of transactions) {
-      const companyName = tx.listingId?.companyName || 'Unknown';
+      const companyName = tx.listingId?.companyName || tx.companyName || 'Unknown';
       
       if (!holdingsMap[companyName]) {
         holdingsMap[companyName] = {
@@ -139,7 +141,8 @@ router.get('/activities', protect, async (req, res, next) => {
 
     // Get recent transactions
     const transactions = await Transaction.find({
-      $or: [{ buyerId: userId }, { sellerId: userId }]
+      $or: [{ buyerId: userId }, { sellerId: userId }],
+      type: 'platform_fee'
     })
       .populate('listingId', 'companyName')
       .sort({ createdAt: -1 })
@@ -164,7 +167,7 @@ router.get('/activities', protect, async (req, res, next) => {
       activities.push({
         type: 'transaction',
         action: tx.buyerId.toString() === userId.toString() ? 'buy' : 'sell',
-        companyName: tx.listingId?.companyName || 'Unknown',
+        companyName: tx.listingId?.companyName || tx.companyName || 'Unknown',
         quantity: tx.quantity,
         price: tx.price,
         status: tx.status,
@@ -0,0 +1,373 @@
+import express from 'express';
+import Rfq from '../models/Rfq.js';
+import Company from '../models/Company.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import { protect } from '../middleware/auth.js';
+import { applyBidPricing, getFeePercentage } from '../services/feeEngine.js';
+import { checkTradeAmount } from '../services/tradingLimits.js';
+import { awardQuotes, closeRfq, findCompanyHolders } from '../services/rfqService.js';
+
+const router = express.Router();
+
+const MAX_RECIPIENTS = 50;
+const DEFAULT_QUOTE_HOURS = 72;
+const MAX_QUOTE_DAYS = 14;
+
+// Load an RFQ the current user created
+const findOwnRfq = async (req, res) => {
+  const rfq = await Rfq.findOne({ _id: req.params.id, buyerId: req.user._id });
+
+  if (!rfq) {
+    res.status(404).json({
+      success: false,
+      message: 'RFQ not found'
+    });
+    return {};
+  }
+
+  return { rfq };
+};
+
+// @route   GET /api/rfqs/my
+// @desc    Get RFQs sent by the current user, with all quotes
+// @access  Private
+router.get('/my', protect, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const query = { buyerId: req.user._id };
+    if (status) query.status = status;
+
+    const rfqs = await Rfq.find(query).sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: rfqs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rfqs/inbox
+// @desc    Get RFQs sent to the current user, with their own quote only
+// @access  Private
+router.get('/inbox', protect, async (req, res, next) => {
+  try {
+    const { status = 'open' } = req.query;
+
+    const query = { 'recipients.userId': req.user._id };
+    if (status) query.status = status;
+    // Past the deadline but not yet swept closed
+    if (status === 'open') query.quoteDeadline = { $gt: new Date() };
+
+    const rfqs = await Rfq.find(query).sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: rfqs.map(rfq => rfq.toRecipientView(req.user._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rfqs
+// @desc    Send a request for quote to selected users or to holders of the company
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { companyId, quantity, targetPrice, message, recipients = [], audience = 'selected', quoteDeadline } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const deadline = quoteDeadline
+      ? new Date(quoteDeadline)
+      : new Date(Date.now() + DEFAULT_QUOTE_HOURS * 60 * 60 * 1000);
+    if (Number.isNaN(deadline.getTime()) || deadline <= new Date() ||
+        deadline.getTime() - Date.now() > MAX_QUOTE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Quote deadline must be within the next ${MAX_QUOTE_DAYS} days`
+      });
+    }
+
+    // Resolve recipients: named users, or everyone holding the company
+    let recipientList;
+    if (audience === 'holders') {
+      const holders = await findCompanyHolders(company._id, { excludeUserId: req.user._id });
+      recipientList = holders.map(({ userId, username }) => ({ userId, username }));
+    } else {
+      const users = await User.find({
+        username: { $in: recipients.map(username => String(username).toLowerCase()) },
+        _id: { $ne: req.user._id },
+        isBanned: { $ne: true }
+      }).select('username');
+      recipientList = users.map(user => ({ userId: user._id, username: user.username }));
+    }
+
+    if (recipientList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: audience === 'holders'
+          ? 'No other users currently hold this company'
+          : 'Select at least one recipient'
+      });
+    }
+
+    if (recipientList.length > MAX_RECIPIENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `An RFQ can be sent to at most ${MAX_RECIPIENTS} users`
+      });
+    }
+
+    const rfq = await Rfq.create({
+      buyerId: req.user._id,
+      buyerUsername: req.user.username,
+      companyId: company._id,
+      companyName: company.CompanyName || company.name,
+      quantity,
+      targetPrice: targetPrice ?? null,
+      message,
+      audience,
+      recipients: recipientList,
+      platformFeePercentage: await getFeePercentage({ company }),
+      quoteDeadline: deadline
+    });
+
+    await Notification.insertMany(recipientList.map(recipient => ({
+      userId: recipient.userId,
+      type: 'rfq_request',
+      title: 'Request for Quote',
+      message: `@${req.user.username} is looking to buy ${quantity} shares of ${rfq.companyName}${targetPrice ? ` around ₹${targetPrice}` : ''}. Send a private quote before ${deadline.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`,
+      data: {
+        rfqId: rfq._id,
+        fromUser: req.user.username,
+        amount: targetPrice,
+        quantity,
+        companyName: rfq.companyName
+      }
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `RFQ sent to ${recipientList.length} users`,
+      data: rfq
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rfqs/:id
+// @desc    Get an RFQ (recipients only see their own quote)
+// @access  Private (buyer or recipient)
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const rfq = await Rfq.findById(req.params.id);
+
+    if (!rfq) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFQ not found'
+      });
+    }
+
+    if (rfq.buyerId.toString() === req.user._id.toString()) {
+      return res.json({
+        success: true,
+        data: rfq
+      });
+    }
+
+    if (!rfq.isRecipient(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this RFQ'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rfq.toRecipientView(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rfqs/:id/quotes
+// @desc    Submit or update a private quote (price is what the seller receives)
+// @access  Private (recipient only)
+router.post('/:id/quotes', protect, async (req, res, next) => {
+  try {
+    const { price, quantity, message } = req.body;
+    const rfq = await Rfq.findById(req.params.id);
+
+    if (!rfq || !rfq.isRecipient(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFQ not found'
+      });
+    }
+
+    if (rfq.status !== 'open' || rfq.quoteDeadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This RFQ is no longer accepting quotes'
+      });
+    }
+
+    if (!(price > 0) || !(quantity > 0) || quantity > rfq.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Quote a price and a quantity of up to ${rfq.quantity} shares`
+      });
+    }
+
+    // Enforce platform trade amount limits
+    const settings = await Settings.getSettings();
+    const limitError = checkTradeAmount(req.user, settings, price * quantity);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        ...limitError
+      });
+    }
+
+    // One live quote per holder; resubmitting replaces it
+    let quote = rfq.quotes.find(q => q.sellerId.toString() === req.user._id.toString() && q.status === 'submitted');
+    const isUpdate = Boolean(quote);
+    if (!quote) {
+      rfq.quotes.push({ sellerId: req.user._id, sellerUsername: req.user.username, price, quantity });
+      quote = rfq.quotes[rfq.quotes.length - 1];
+    }
+
+    quote.quantity = quantity;
+    quote.message = message;
+    quote.submittedAt = new Date();
+    applyBidPricing(quote, price, 'seller', rfq.platformFeePercentage);
+
+    await rfq.save();
+
+    await Notification.create({
+      userId: rfq.buyerId,
+      type: 'new_offer',
+      title: isUpdate ? 'Quote Updated' : 'New Quote Received',
+      message: `@${req.user.username} quoted ₹${quote.buyerOfferedPrice.toFixed(2)} for ${quantity} shares of ${rfq.companyName}`,
+      data: {
+        rfqId: rfq._id,
+        bidId: quote._id,
+        fromUser: req.user.username,
+        amount: quote.buyerOfferedPrice,
+        quantity,
+        companyName: rfq.companyName
+      }
+    });
+
+    res.status(isUpdate ? 200 : 201).json({
+      success: true,
+      message: isUpdate ? 'Quote updated successfully' : 'Quote submitted successfully',
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/rfqs/:id/quotes/:quoteId/withdraw
+// @desc    Withdraw own quote before it is awarded
+// @access  Private (quote owner only)
+router.put('/:id/quotes/:quoteId/withdraw', protect, async (req, res, next) => {
+  try {
+    const rfq = await Rfq.findById(req.params.id);
+    const quote = rfq?.quotes.id(req.params.quoteId);
+
+    if (!quote || quote.sellerId.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (quote.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw a quote that is ${quote.status}`
+      });
+    }
+
+    quote.status = 'withdrawn';
+    await rfq.save();
+
+    res.json({
+      success: true,
+      message: 'Quote withdrawn successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/rfqs/:id/award
+// @desc    Award one or more quotes: { awards: [{ quoteId, quantity? }] }
+// @access  Private (RFQ buyer only)
+router.put('/:id/award', protect, async (req, res, next) => {
+  try {
+    const { rfq } = await findOwnRfq(req, res);
+    if (!rfq) return;
+
+    const deals = await awardQuotes(rfq, req.body.awards);
+
+    res.json({
+      success: true,
+      message: rfq.status === 'closed'
+        ? 'Quotes awarded. The RFQ is fully filled and now closed.'
+        : `Quotes awarded. ${rfq.quantity - rfq.awardedQuantity} shares remain open.`,
+      data: {
+        rfq,
+        deals
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/rfqs/:id/close
+// @desc    Close an RFQ, declining quotes that were not awarded
+// @access  Private (RFQ buyer only)
+router.put('/:id/close', protect, async (req, res, next) => {
+  try {
+    const { rfq } = await findOwnRfq(req, res);
+    if (!rfq) return;
+
+    if (rfq.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'This RFQ is already closed'
+      });
+    }
+
+    const declined = await closeRfq(rfq);
+
+    res.json({
+      success: true,
+      message: `RFQ closed${declined > 0 ? `, ${declined} quotes declined` : ''}`,
+      data: rfq
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
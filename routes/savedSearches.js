@@ -0,0 +1,132 @@
+import express from 'express';
+import SavedSearch from '../models/SavedSearch.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+const FILTER_FIELDS = ['type', 'companyId', 'search', 'minPrice', 'maxPrice', 'companySegmentation'];
+
+// Pick the supported listing filters from a request body
+const pickFilters = (body = {}) => FILTER_FIELDS.reduce((filters, field) => {
+  if (body[field] !== undefined && body[field] !== '') filters[field] = body[field];
+  return filters;
+}, {});
+
+// @route   GET /api/saved-searches
+// @desc    Get current user's saved searches
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id })
+      .sort('-createdAt')
+      .populate('filters.companyId', 'name logo sector');
+
+    res.json({
+      success: true,
+      data: savedSearches
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a marketplace search
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { name, filters, alertsEnabled } = req.body;
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId: req.user._id,
+      name,
+      filters: pickFilters(filters),
+      alertsEnabled
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: savedSearch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Update a saved search
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    const { name, filters, alertsEnabled } = req.body;
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (name !== undefined) savedSearch.name = name;
+    if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+    if (filters !== undefined) {
+      // Replace filters wholesale so cleared fields are removed
+      savedSearch.filters = {
+        type: null,
+        companyId: null,
+        search: null,
+        minPrice: null,
+        maxPrice: null,
+        companySegmentation: null,
+        ...pickFilters(filters)
+      };
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: savedSearch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import StandingOrder from '../models/StandingOrder.js';
+import Company from '../models/Company.js';
+import Settings from '../models/Settings.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 90;
+
+// Validate a requested expiry date; returns an error message or null
+const getExpiryError = (expiresAt) => {
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    return 'Expiry must be a date in the future';
+  }
+  if (date.getTime() - Date.now() > MAX_EXPIRY_DAYS * DAY_MS) {
+    return `Standing orders can run for at most ${MAX_EXPIRY_DAYS} days`;
+  }
+  return null;
+};
+
+// An order counts towards maxStandingOrdersPerUser while active and unexpired
+const isCounted = (order, now = new Date()) => order.isActive && order.expiresAt > now;
+
+// Returns an error message if the user is already at the active order limit, else null
+const getActiveLimitError = async (userId, settings) => {
+  const activeOrders = await StandingOrder.countDocuments({
+    userId,
+    isActive: true,
+    expiresAt: { $gt: new Date() }
+  });
+  if (activeOrders >= settings.maxStandingOrdersPerUser) {
+    return `You can have at most ${settings.maxStandingOrdersPerUser} active standing orders`;
+  }
+  return null;
+};
+
+// @route   GET /api/standing-orders
+// @desc    Get current user's standing orders
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const orders = await StandingOrder.find({ userId: req.user._id })
+      .sort('-createdAt')
+      .populate('companyId', 'name logo sector');
+
+    res.json({
+      success: true,
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/standing-orders
+// @desc    Create a standing buy order that auto-bids on new sell posts
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { companyId, maxPrice, quantity, maxAutoBids, expiresAt } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    if (!settings.standingOrdersEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Standing orders are currently disabled'
+      });
+    }
+
+    const limitError = await getActiveLimitError(req.user._id, settings);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    if (expiresAt) {
+      const expiryError = getExpiryError(expiresAt);
+      if (expiryError) {
+        return res.status(400).json({
+          success: false,
+          message: expiryError
+        });
+      }
+    }
+
+    const order = await StandingOrder.create({
+      userId: req.user._id,
+      companyId,
+      companyName: company.CompanyName || company.name,
+      maxPrice,
+      quantity,
+      maxAutoBids,
+      expiresAt: expiresAt || new Date(Date.now() + DEFAULT_EXPIRY_DAYS * DAY_MS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Standing order created successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/standing-orders/:id
+// @desc    Update a standing order, or switch it off/on with isActive
+// @access  Private
+router.put('/:id', protect, async (req, res, next) => {
+  try {
+    const { maxPrice, quantity, maxAutoBids, expiresAt, isActive } = req.body;
+
+    const order = await StandingOrder.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Standing order not found'
+      });
+    }
+
+    const wasCounted = isCounted(order);
+
+    if (expiresAt !== undefined) {
+      const expiryError = getExpiryError(expiresAt);
+      if (expiryError) {
+        return res.status(400).json({
+          success: false,
+          message: expiryError
+        });
+      }
+      order.expiresAt = expiresAt;
+    }
+
+    if (maxAutoBids !== undefined && maxAutoBids < order.autoBidCount) {
+      return res.status(400).json({
+        success: false,
+        message: `This order has already placed ${order.autoBidCount} auto-bids`
+      });
+    }
+
+    if (maxPrice !== undefined) order.maxPrice = maxPrice;
+    if (quantity !== undefined) order.quantity = quantity;
+    if (maxAutoBids !== undefined) order.maxAutoBids = maxAutoBids;
+    if (isActive !== undefined) order.isActive = isActive;
+
+    // Reactivating (or renewing an expired order) takes an active slot, same as creating one
+    if (!wasCounted && isCounted(order)) {
+      const settings = await Settings.getSettings();
+      const limitError = await getActiveLimitError(req.user._id, settings);
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+    }
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Standing order updated successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/standing-orders/:id
+// @desc    Delete a standing order (bids already placed stay open)
+// @access  Private
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const order = await StandingOrder.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Standing order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Standing order deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import User from '../models/User.js';
+import Rating from '../models/Rating.js';
+
+const router = express.Router();
+
+// Find an active (not banned) user by username; responds and returns null if missing
+const findPublicUser = async (req, res) => {
+  const user = await User.findOne({ username: req.params.username.toLowerCase(), isBanned: false })
+    .select('username fullName avatar isVerified reputation createdAt');
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @route   GET /api/users/:username
+// @desc    Get a trader's public profile with reputation
+// @access  Public
+router.get('/:username', async (req, res, next) => {
+  try {
+    const user = await findPublicUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: {
+        username: user.username,
+        fullName: user.fullName,
+        avatar: user.avatar,
+        isVerified: user.isVerified,
+        memberSince: user.createdAt,
+        reputation: user.reputation
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/:username/ratings
+// @desc    Get ratings and reviews a trader has received, newest first
+// @access  Public
+router.get('/:username/ratings', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const user = await findPublicUser(req, res);
+    if (!user) return;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const [ratings, total] = await Promise.all([
+      Rating.find({ rateeId: user._id })
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(pageSize)
+        .select('raterUsername raterRole stars tags review companyName createdAt'),
+      Rating.countDocuments({ rateeId: user._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: ratings,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
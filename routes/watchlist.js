@@ -0,0 +1,90 @@
+import express from 'express';
+import Watchlist from '../models/Watchlist.js';
+import Company from '../models/Company.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   GET /api/watchlist
+// @desc    Get current user's watched companies
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const watchlist = await Watchlist.find({ userId: req.user._id })
+      .sort('-createdAt')
+      .populate('companyId', 'name scriptName logo sector lastTradedPrice lastTradedAt');
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/watchlist
+// @desc    Add a company to watchlist or update its alert settings
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const { companyId, alertOnSell, alertOnBuy, maxSellPrice, minBuyPrice } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const companyName = company.CompanyName || company.name;
+    const update = { companyName };
+    if (alertOnSell !== undefined) update.alertOnSell = alertOnSell;
+    if (alertOnBuy !== undefined) update.alertOnBuy = alertOnBuy;
+    if (maxSellPrice !== undefined) update.maxSellPrice = maxSellPrice;
+    if (minBuyPrice !== undefined) update.minBuyPrice = minBuyPrice;
+
+    const entry = await Watchlist.findOneAndUpdate(
+      { userId: req.user._id, companyId: company._id },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${companyName} added to watchlist`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/watchlist/:companyId
+// @desc    Remove a company from watchlist
+// @access  Private
+router.delete('/:companyId', protect, async (req, res, next) => {
+  try {
+    const entry = await Watchlist.findOneAndDelete({
+      userId: req.user._id,
+      companyId: req.params.companyId
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not in watchlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from watchlist'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
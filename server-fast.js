@@ -6,6 +6,7 @@ import mongoSanitize from 'express-mongo-sanitize';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
+import { startLifecycleSweeper } from './services/lifecycleSweeper.js';
 
 // Load env vars
 dotenv.config();
@@ -13,7 +14,11 @@ dotenv.config();
 // Connect to MongoDB
 mongoose.set('strictQuery', false);
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(() => {
+    console.log('✅ MongoDB connected');
+    // Expire listings, bids, boosts and ads on a schedule
+    if (process.env.LIFECYCLE_SWEEPER_ENABLED !== 'false') startLifecycleSweeper();
+  })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
@@ -50,11 +55,18 @@ app.use('/api/', limiter);
 // Import routes (without admin companies OCR for now)
 import authRoutes from './routes/auth.js';
 import listingRoutes from './routes/listings.js';
+import dealRoutes from './routes/deals.js';
 import notificationRoutes from './routes/notifications.js';
 import companyRoutes from './routes/companies.js';
 import transactionRoutes from './routes/transactions.js';
 import referralRoutes from './routes/referrals.js';
 import portfolioRoutes from './routes/portfolio.js';
+import watchlistRoutes from './routes/watchlist.js';
+import savedSearchRoutes from './routes/savedSearches.js';
+import boostPackageRoutes from './routes/boostPackages.js';
+import standingOrderRoutes from './routes/standingOrders.js';
+import rfqRoutes from './routes/rfqs.js';
+import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
 
 // Health check
@@ -76,11 +88,18 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       listings: '/api/listings',
+      deals: '/api/deals',
       notifications: '/api/notifications',
       companies: '/api/companies',
       transactions: '/api/transactions',
       referrals: '/api/referrals',
       portfolio: '/api/portfolio',
+      watchlist: '/api/watchlist',
+      savedSearches: '/api/saved-searches',
+      boostPackages: '/api/boost-packages',
+      standingOrders: '/api/standing-orders',
+      rfqs: '/api/rfqs',
+      users: '/api/users',
       admin: '/api/admin'
     }
   });
@@ -89,11 +108,18 @@ app.get('/api', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/listings', listingRoutes);
+app.use('/api/deals', dealRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/referrals', referralRoutes);
 app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/boost-packages', boostPackageRoutes);
+app.use('/api/standing-orders', standingOrderRoutes);
+app.use('/api/rfqs', rfqRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 // Note: OCR routes temporarily disabled for faster deployment
 
@@ -10,15 +10,23 @@ import mongoSanitize from 'express-mongo-sanitize';
 import xss from 'xss-clean';
 import { detectInjectionAttempt } from './middleware/securityLogger.js';
 import { sanitizeInput } from './middleware/validation.js';
+import { startLifecycleSweeper } from './services/lifecycleSweeper.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import listingRoutes from './routes/listings.js';
+import dealRoutes from './routes/deals.js';
 import notificationRoutes from './routes/notifications.js';
 import companyRoutes from './routes/companies.js';
 import transactionRoutes from './routes/transactions.js';
 import referralRoutes from './routes/referrals.js';
 import portfolioRoutes from './routes/portfolio.js';
+import watchlistRoutes from './routes/watchlist.js';
+import savedSearchRoutes from './routes/savedSearches.js';
+import boostPackageRoutes from './routes/boostPackages.js';
+import standingOrderRoutes from './routes/standingOrders.js';
+import rfqRoutes from './routes/rfqs.js';
+import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
 import adminCompaniesRoutes from './routes/adminCompanies.js';
 import adsRoutes from './routes/ads.js';
@@ -176,7 +184,11 @@ app.use((req, res, next) => {
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ MongoDB connected successfully'))
+  .then(() => {
+    console.log('✅ MongoDB connected successfully');
+    // Expire listings, bids, boosts and ads on a schedule
+    if (process.env.LIFECYCLE_SWEEPER_ENABLED !== 'false') startLifecycleSweeper();
+  })
   .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Root route
@@ -189,11 +201,18 @@ app.get('/', (req, res) => {
       health: '/api/health',
       auth: '/api/auth',
       listings: '/api/listings',
+      deals: '/api/deals',
       notifications: '/api/notifications',
       companies: '/api/companies',
       transactions: '/api/transactions',
       referrals: '/api/referrals',
       portfolio: '/api/portfolio',
+      watchlist: '/api/watchlist',
+      savedSearches: '/api/saved-searches',
+      boostPackages: '/api/boost-packages',
+      standingOrders: '/api/standing-orders',
+      rfqs: '/api/rfqs',
+      users: '/api/users',
       admin: '/api/admin'
     }
   });
@@ -202,11 +221,18 @@ app.get('/', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/listings', listingRoutes);
+app.use('/api/deals', dealRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/companies', companyRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/referrals', referralRoutes);
 app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/boost-packages', boostPackageRoutes);
+app.use('/api/standing-orders', standingOrderRoutes);
+app.use('/api/rfqs', rfqRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/ads', adsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin', adminCompaniesRoutes);
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import Settings from '../models/Settings.js';
+
+const toId = (value) => (value?._id || value)?.toString();
+
+/**
+ * Whether a listing hides its owner and bidders. The platform can turn
+ * anonymity off, leave it to each listing, or apply it to every listing.
+ */
+export const isAnonymousListing = (listing, settings) => {
+  if (settings.anonymityMode === 'always') return true;
+  if (settings.anonymityMode === 'disabled') return false;
+  return Boolean(listing.isAnonymous);
+};
+
+/**
+ * Stable pseudonym for a user on a listing, e.g. "Seller #A12".
+ * Derived per listing so the same user can't be followed across listings.
+ */
+export const getPseudonym = (listing, userId) => {
+  const isOwner = toId(listing.userId) === toId(userId);
+  const ownerIsSeller = listing.type === 'sell';
+  const role = isOwner === ownerIsSeller ? 'Seller' : 'Buyer';
+
+  // Dedicated key: without it pseudonyms could be worked back from user ids
+  const secret = process.env.PSEUDONYM_SECRET;
+  if (!secret) throw new Error('PSEUDONYM_SECRET is not set; anonymous listings cannot be shown');
+
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${toId(listing._id)}:${toId(userId)}`)
+    .digest();
+  const code = digest.readUInt32BE(0).toString(36).toUpperCase().slice(-3).padStart(3, '0');
+
+  return `${role} #${code}`;
+};
+
+/**
+ * How to refer to a user in messages about a listing: `fromUser` is their username,
+ * or their pseudonym on anonymous listings, and `mention` is how message text names them.
+ * Pass `revealed` once their bid is accepted.
+ */
+export const getIdentity = async (listing, user, { settings, revealed = false } = {}) => {
+  const platformSettings = settings || await Settings.getSettings();
+  if (revealed || !isAnonymousListing(listing, platformSettings)) {
+    return { fromUser: user.username, mention: `@${user.username}` };
+  }
+  const pseudonym = getPseudonym(listing, user._id);
+  return { fromUser: pseudonym, mention: pseudonym };
+};
+
+// Trust signals stay visible behind the pseudonym
+const maskUser = (listing, owner) => ({
+  username: getPseudonym(listing, toId(owner)),
+  avatar: null,
+  fullName: null,
+  isVerified: owner?.isVerified,
+  reputation: owner?.reputation,
+  isPseudonym: true
+});
+
+// Bidders see their own name; the owner sees a bidder's once their bid is accepted
+const isBidderRevealed = (ownerId, bid, viewerId) => {
+  const bidderId = toId(bid.userId);
+  return bidderId === viewerId || (viewerId === ownerId && bid.status === 'accepted');
+};
+
+/**
+ * Name to show for a bidder on a listing, as seen by `viewer`
+ */
+export const getBidderName = (listing, bid, viewer, settings) => {
+  if (!isAnonymousListing(listing, settings)) return bid.username;
+  return isBidderRevealed(toId(listing.userId), bid, toId(viewer))
+    ? bid.username
+    : getPseudonym(listing, bid.userId);
+};
+
+/**
+ * Plain copy of a listing as `viewer` may see it. On anonymous listings the owner
+ * and bidders are replaced with pseudonyms; the owner and a bidder see each other
+ * once that bidder's bid is accepted, and everyone sees their own identity.
+ */
+export const maskListing = (listing, viewer, settings) => {
+  const data = typeof listing.toObject === 'function' ? listing.toObject() : { ...listing };
+  if (!isAnonymousListing(listing, settings)) return data;
+
+  const viewerId = toId(viewer);
+  const ownerId = toId(data.userId);
+  const isOwner = Boolean(viewerId) && viewerId === ownerId;
+  const bidArrays = ['bids', 'offers'].filter(field => Array.isArray(data[field]));
+
+  const viewerWasAccepted = Boolean(viewerId) && bidArrays.some(field =>
+    data[field].some(bid => toId(bid.userId) === viewerId && bid.status === 'accepted')
+  );
+
+  if (!isOwner && !viewerWasAccepted) {
+    const masked = maskUser(data, data.userId);
+    data.userId = masked;
+    data.username = masked.username;
+  }
+
+  bidArrays.forEach(field => {
+    data[field] = data[field].map(bid => (isBidderRevealed(ownerId, bid, viewerId)
+      ? bid
+      : { ...bid, userId: null, username: getPseudonym(data, bid.userId) }));
+  });
+
+  data.isAnonymous = true;
+  return data;
+};
+
+export const maskListings = async (listings, viewer) => {
+  const settings = await Settings.getSettings();
+  return listings.map(listing => maskListing(listing, viewer, settings));
+};
@@ -0,0 +1,142 @@
+import Listing from '../models/Listing.js';
+import Notification from '../models/Notification.js';
+import { acceptBid } from './bidService.js';
+
+const BATCH_SIZE = 50;
+
+/**
+ * Ranked bid ladder for an auction. Bidders see whether the reserve is met, not the reserve itself.
+ * The listing must be loaded with .select('+auction.reservePrice').
+ * `getName` picks the name shown for each bid, e.g. a pseudonym on anonymous listings.
+ */
+export const getAuctionLadder = (listing, getName = (bid) => bid.username) => {
+  // Once closed, show the final standings
+  const ranked = listing.auction.status === 'live'
+    ? listing.getRankedBids()
+    : listing.getRankedBids(['accepted', 'rejected']);
+  const reservePrice = listing.auction.reservePrice;
+
+  return {
+    endsAt: listing.auction.endsAt,
+    status: listing.auction.status,
+    result: listing.auction.result,
+    minIncrement: listing.auction.minIncrement,
+    nextMinimumBid: listing.auction.status === 'live' ? listing.getNextMinimumBid() : null,
+    quantity: listing.remainingQuantity ?? listing.quantity,
+    extensionCount: listing.auction.extensionCount,
+    hasReserve: reservePrice != null,
+    reserveMet: ranked.length > 0 && (reservePrice == null || ranked[0].sellerReceivesPrice >= reservePrice),
+    bidCount: ranked.length,
+    ladder: ranked.map((bid, index) => ({
+      rank: index + 1,
+      bidId: bid._id,
+      username: getName(bid),
+      price: bid.buyerOfferedPrice,
+      createdAt: bid.createdAt
+    }))
+  };
+};
+
+/**
+ * Close an auction: accept the best bid if it meets the reserve and reject the rest.
+ * The listing must be loaded with .select('+auction.reservePrice').
+ */
+export const closeAuction = async (listing, now = new Date()) => {
+  const ranked = listing.getRankedBids();
+  const [leading] = ranked;
+  const reservePrice = listing.auction.reservePrice;
+  const winner = leading && (reservePrice == null || leading.sellerReceivesPrice >= reservePrice)
+    ? leading
+    : null;
+
+  listing.auction.status = 'closed';
+  listing.auction.closedAt = now;
+  listing.auction.result = winner ? 'sold' : ranked.length > 0 ? 'reserve_not_met' : 'no_bids';
+  listing.auction.winningBidId = winner?._id || null;
+
+  const losers = ranked.filter(bid => bid !== winner);
+  losers.forEach(bid => {
+    bid.status = 'rejected';
+  });
+
+  let deal = null;
+  if (winner) {
+    // Saves the listing along with the closed auction and rejected bids
+    deal = await acceptBid(listing, winner);
+  } else {
+    listing.status = 'expired';
+    await listing.save();
+  }
+
+  const notifications = losers.map(bid => ({
+    userId: bid.userId,
+    type: 'bid_rejected',
+    title: 'Auction Closed',
+    message: `The auction for ${listing.companyName} has closed. Your bid of ₹${bid.price} was not successful.`,
+    data: {
+      listingId: listing._id,
+      bidId: bid._id,
+      amount: bid.price,
+      quantity: bid.quantity,
+      companyName: listing.companyName
+    }
+  }));
+
+  if (winner) {
+    notifications.push({
+      userId: winner.userId,
+      type: 'bid_accepted',
+      title: 'You Won the Auction! 🎉',
+      message: `Your bid of ₹${winner.price} for ${winner.quantity} shares of ${listing.companyName} won the auction.`,
+      data: {
+        listingId: listing._id,
+        bidId: winner._id,
+        dealId: deal._id,
+        amount: winner.price,
+        quantity: winner.quantity,
+        companyName: listing.companyName
+      }
+    });
+  }
+
+  notifications.push({
+    userId: listing.userId,
+    type: 'auction_closed',
+    title: 'Auction Closed',
+    message: winner
+      ? `Your auction for ${listing.companyName} sold to @${winner.username} at ₹${winner.price} per share.`
+      : `Your auction for ${listing.companyName} closed without a sale${ranked.length > 0 ? ': the reserve price was not met' : ''}.`,
+    data: {
+      listingId: listing._id,
+      bidId: winner?._id,
+      dealId: deal?._id,
+      amount: winner?.price,
+      quantity: winner?.quantity,
+      companyName: listing.companyName
+    }
+  });
+
+  await Notification.insertMany(notifications);
+
+  return { result: listing.auction.result, deal };
+};
+
+/**
+ * Close every live auction past its end time (lifecycle sweeper task)
+ */
+export const closeEndedAuctions = async (now) => {
+  const listings = await Listing.find({
+    status: 'active',
+    'auction.status': 'live',
+    'auction.endsAt': { $lte: now }
+  })
+    .setOptions({ includeExpired: true })
+    .select('+auction.reservePrice')
+    .limit(BATCH_SIZE);
+
+  for (const listing of listings) {
+    await closeAuction(listing, now);
+  }
+
+  return listings.length;
+};
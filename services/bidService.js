@@ -0,0 +1,443 @@
+import Listing from '../models/Listing.js';
+import Notification from '../models/Notification.js';
+import ReferralTracking from '../models/ReferralTracking.js';
+import Settings from '../models/Settings.js';
+import User from '../models/User.js';
+import { getIdentity } from './anonymity.js';
+import { createDealFromBid } from './dealService.js';
+import { applyBidPricing, getListingFeePercentage } from './feeEngine.js';
+import { checkTradeAmount } from './tradingLimits.js';
+
+const AUTO_ACTION_LABELS = { accept: 'accepted', reject: 'rejected', counter: 'countered' };
+
+const bidError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Sell post owners are sellers; buy request owners are buyers
+export const getOwnerRole = (listing) => (listing.type === 'sell' ? 'seller' : 'buyer');
+export const getBidderRole = (listing) => (listing.type === 'sell' ? 'buyer' : 'seller');
+
+// Bids live on sell posts, offers on buy requests
+export const getBidArray = (listing) => (listing.type === 'sell' ? listing.bids : listing.offers);
+
+// Only counters use up a round; amendments and auto accept/reject are just logged
+export const countCounterRounds = (bid) =>
+  (bid.counterHistory || []).filter(c => (c.action || 'counter') === 'counter').length;
+
+// Bid price in the listing owner's terms: what a seller receives, what a buyer pays
+const getOwnerPrice = (listing, bid) =>
+  (listing.type === 'sell' ? bid.sellerReceivesPrice : bid.buyerOfferedPrice) ?? bid.price;
+
+/**
+ * Decide what the owner's auto rules do with a new bid/offer.
+ * Returns { action: 'reject' | 'accept' | 'counter', price? } or null to leave it pending.
+ */
+export const evaluateAutoRules = (listing, bid) => {
+  const rules = listing.autoRules;
+  if (!rules?.enabled || listing.auction) return null;
+
+  const price = getOwnerPrice(listing, bid);
+  // Higher is better for a seller, lower for a buyer
+  const isAtLeast = (value, limit) => (listing.type === 'sell' ? value >= limit : value <= limit);
+
+  if (rules.rejectPrice != null && !isAtLeast(price, rules.rejectPrice)) {
+    return { action: 'reject' };
+  }
+
+  if (rules.acceptPrice != null && isAtLeast(price, rules.acceptPrice) &&
+      bid.quantity >= (rules.acceptMinQuantity || 1)) {
+    return { action: 'accept' };
+  }
+
+  if (rules.counterPrice != null && !isAtLeast(price, rules.counterPrice)) {
+    return { action: 'counter', price: rules.counterPrice };
+  }
+
+  return null;
+};
+
+/**
+ * Apply the owner's auto rules to a new bid/offer, logging the decision in its counterHistory.
+ * Returns { action, deal?, round?, maxCounterRounds? } or null if no rule applied.
+ */
+export const applyAutoRules = async (listing, bid) => {
+  const decision = evaluateAutoRules(listing, bid);
+  if (!decision) return null;
+
+  const by = getOwnerRole(listing);
+
+  if (decision.action === 'counter') {
+    const result = await counterBid(listing, bid, {
+      by,
+      price: decision.price,
+      message: 'Automatic counter offer',
+      automatic: true
+    });
+    return { ...decision, ...result };
+  }
+
+  bid.counterHistory.push({
+    round: countCounterRounds(bid),
+    by,
+    action: decision.action,
+    automatic: true,
+    price: bid.price,
+    quantity: bid.quantity,
+    message: decision.action === 'accept' ? 'Automatically accepted' : 'Automatically rejected',
+    timestamp: new Date()
+  });
+
+  if (decision.action === 'reject') {
+    bid.status = 'rejected';
+    await listing.save();
+    return decision;
+  }
+
+  const deal = await acceptBid(listing, bid);
+  return { ...decision, deal };
+};
+
+// Tell the bidder what the owner's auto rules decided
+const notifyAutoDecision = async (listing, bid, decision) => {
+  const label = listing.type === 'sell' ? 'bid' : 'offer';
+  const base = {
+    userId: bid.userId,
+    data: {
+      listingId: listing._id,
+      bidId: bid._id,
+      amount: bid.price,
+      quantity: bid.quantity,
+      companyName: listing.companyName
+    }
+  };
+
+  if (decision.action === 'accept') {
+    base.data.dealId = decision.deal._id;
+    return Notification.create({
+      ...base,
+      type: 'bid_accepted',
+      title: 'Bid Accepted! 🎉',
+      message: `Your ${label} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName} has been accepted!`
+    });
+  }
+
+  if (decision.action === 'reject') {
+    return Notification.create({
+      ...base,
+      type: 'bid_rejected',
+      title: 'Bid Rejected',
+      message: `Your ${label} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName} has been rejected.`
+    });
+  }
+
+  // The limit-reached notice already went to both sides
+  if (decision.expired) return null;
+
+  base.data.amount = decision.price;
+  base.data.round = decision.round;
+  return Notification.create({
+    ...base,
+    type: 'bid_countered',
+    title: 'Counter Offer Received',
+    message: `Counter offer on ${listing.companyName}: ₹${decision.price} for ${bid.quantity} shares (round ${decision.round} of ${decision.maxCounterRounds})`
+  });
+};
+
+/**
+ * Place a bid on a sell post or an offer on a buy request, run the owner's
+ * auto rules on it and notify both sides. Returns { bid, autoDecision }.
+ * Trading limit errors carry the structured limit error as `error.limit`.
+ * The listing must be loaded with .select('+autoRules') for rules to apply, and
+ * with '+shareToken +invitedUsernames' for unlisted/invite-only access checks.
+ */
+export const placeBid = async (listing, user, { price, quantity, message, shareToken }) => {
+  const now = new Date();
+
+  // Unlisted and invite-only listings look like they don't exist to others
+  if (!listing.canView(user, shareToken)) {
+    throw bidError('Listing not found', 404);
+  }
+
+  // Can't bid on own listing
+  if (listing.userId.toString() === user._id.toString()) {
+    throw bidError('Cannot bid on your own listing');
+  }
+
+  if (listing.status !== 'active') {
+    throw bidError('Listing is not active');
+  }
+
+  if (listing.auction) {
+    // Auction bids are for the whole lot and must beat the leading bid by the increment
+    quantity = quantity ?? (listing.remainingQuantity ?? listing.quantity);
+    const auctionError = listing.getAuctionBidError(price, quantity, now);
+    if (auctionError) throw bidError(auctionError);
+  } else {
+    // Check quantity against what is left and the minimum lot
+    const fillError = listing.getFillError(quantity);
+    if (fillError) throw bidError(fillError);
+  }
+
+  // Enforce platform trade amount limits
+  const settings = await Settings.getSettings();
+  const limitError = checkTradeAmount(user, settings, price * quantity);
+  if (limitError) {
+    const error = bidError(limitError.message);
+    error.limit = limitError;
+    throw error;
+  }
+
+  const bidData = {
+    userId: user._id,
+    username: user.username,
+    price, // Keep original
+    quantity,
+    message,
+    counterHistory: []
+  };
+
+  // Calculate platform fee fields (buyer bids what they pay, seller offers what they receive)
+  applyBidPricing(bidData, price, getBidderRole(listing), getListingFeePercentage(listing));
+
+  let outbidBid = null;
+  let extended = false;
+  if (listing.auction) {
+    const [leading] = listing.getRankedBids();
+    if (leading && leading.userId.toString() !== user._id.toString()) outbidBid = leading;
+
+    // A bidder's new bid replaces their earlier one on the ladder
+    listing.bids.forEach(existing => {
+      if (existing.userId.toString() === user._id.toString() && existing.status === 'pending') {
+        existing.status = 'withdrawn';
+      }
+    });
+
+    extended = listing.extendAuctionForBid(now);
+  }
+
+  const bidArray = getBidArray(listing);
+  bidArray.push(bidData);
+  const bid = bidArray[bidArray.length - 1];
+
+  await listing.save();
+
+  if (outbidBid) {
+    await Notification.create({
+      userId: outbidBid.userId,
+      type: 'auction_outbid',
+      title: 'You Have Been Outbid',
+      message: `Someone bid ₹${price} for ${listing.companyName}. The auction ends ${listing.auction.endsAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}${extended ? ' (extended)' : ''}.`,
+      data: {
+        listingId: listing._id,
+        bidId: outbidBid._id,
+        amount: price,
+        quantity,
+        companyName: listing.companyName
+      }
+    });
+  }
+
+  const autoDecision = await applyAutoRules(listing, bid);
+  const autoNote = autoDecision ? ` (automatically ${AUTO_ACTION_LABELS[autoDecision.action]} by your rules)` : '';
+
+  // Anonymous listings only reveal the bidder once their bid is accepted
+  const { fromUser, mention } = await getIdentity(listing, user, { settings, revealed: bid.status === 'accepted' });
+
+  // Create notification for listing owner
+  await Notification.create({
+    userId: listing.userId,
+    type: listing.type === 'sell' ? 'new_bid' : 'new_offer',
+    title: listing.type === 'sell' ? 'New Bid Received' : 'New Offer Received',
+    message: `${mention} ${listing.type === 'sell' ? 'placed a bid' : 'made an offer'} of ₹${price} for ${quantity} shares${autoNote}`,
+    data: {
+      listingId: listing._id,
+      bidId: bid._id,
+      fromUser,
+      amount: price,
+      quantity,
+      companyName: listing.companyName
+    }
+  });
+
+  if (autoDecision) await notifyAutoDecision(listing, bid, autoDecision);
+
+  return { bid, autoDecision };
+};
+
+// Tell both sides a negotiation ran out of counter rounds
+const notifyCounterLimitReached = async (listing, bid, maxCounterRounds) => {
+  const label = listing.type === 'sell' ? 'bid' : 'offer';
+  await Notification.insertMany([bid.userId, listing.userId].map(userId => ({
+    userId,
+    type: 'bid_expired',
+    title: 'Negotiation Expired',
+    message: `The ${label} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName} expired after ${maxCounterRounds} counter rounds.`,
+    data: {
+      listingId: listing._id,
+      bidId: bid._id,
+      amount: bid.price,
+      quantity: bid.quantity,
+      companyName: listing.companyName
+    }
+  })));
+};
+
+/**
+ * Add a counter round to a bid/offer.
+ * The counter that uses up the last allowed round expires the bid and notifies
+ * both sides; the result then has expired: true.
+ */
+export const counterBid = async (listing, bid, { by, price, quantity, message, automatic = false }) => {
+  const { maxCounterRounds } = await Settings.getSettings();
+  const round = countCounterRounds(bid) + 1;
+
+  if (quantity) {
+    const fillError = listing.getFillError(quantity);
+    if (fillError) throw bidError(fillError);
+  }
+
+  bid.counterHistory.push({
+    round,
+    by,
+    price,
+    quantity: quantity || bid.quantity,
+    message: message || '',
+    automatic,
+    timestamp: new Date()
+  });
+
+  // 'countered' waits on the bidder, 'pending' waits on the listing owner
+  bid.status = by === getOwnerRole(listing) ? 'countered' : 'pending';
+  if (quantity) bid.quantity = quantity;
+  applyBidPricing(bid, price, by, getListingFeePercentage(listing));
+
+  // Also catches bids already past a since-lowered limit
+  const expired = round >= maxCounterRounds;
+  if (expired) bid.status = 'expired';
+
+  await listing.save();
+
+  if (expired) await notifyCounterLimitReached(listing, bid, maxCounterRounds);
+
+  return { expired, round, maxCounterRounds };
+};
+
+/**
+ * Accept a bid/offer: fill the listing, open the deal and track referral earnings
+ */
+export const acceptBid = async (listing, bid) => {
+  if (listing.status !== 'active') {
+    throw bidError('Listing is not active');
+  }
+
+  const fillError = listing.getFillError(bid.quantity);
+  if (fillError) throw bidError(fillError);
+
+  // Listings from before partial fills have no stored remainingQuantity to decrement
+  if (listing.remainingQuantity === listing.quantity) {
+    await Listing.updateOne({ _id: listing._id, remainingQuantity: null }, [{ $set: { remainingQuantity: '$quantity' } }]);
+  }
+
+  // Claim the shares and accept the bid in one update, so concurrent accepts
+  // can't oversell the block or accept the same bid twice
+  const bidField = listing.type === 'sell' ? 'bids' : 'offers';
+  const filled = await Listing.findOneAndUpdate(
+    {
+      _id: listing._id,
+      status: 'active',
+      remainingQuantity: { $gte: bid.quantity },
+      [bidField]: { $elemMatch: { _id: bid._id, status: { $in: ['pending', 'countered'] } } }
+    },
+    {
+      $inc: { remainingQuantity: -bid.quantity },
+      $set: { [`${bidField}.$.status`]: 'accepted' }
+    },
+    { new: true, projection: { remainingQuantity: 1 } }
+  );
+  if (!filled) {
+    throw bidError('This bid can no longer be accepted - the shares were taken or the bid changed', 409);
+  }
+
+  // Listing is sold once nothing is left
+  if (filled.remainingQuantity === 0) {
+    await Listing.updateOne({ _id: listing._id, status: 'active' }, { $set: { status: 'sold' } });
+    listing.status = 'sold';
+  }
+
+  // Mirror the claim without writing it back over concurrent fills
+  bid.status = 'accepted';
+  listing.remainingQuantity = filled.remainingQuantity;
+  listing.unmarkModified('remainingQuantity');
+  listing.unmarkModified('status');
+
+  await listing.save();
+
+  // Open the settlement deal between both parties
+  const deal = await createDealFromBid(listing, bid);
+
+  await trackReferral(listing, bid, deal);
+
+  return deal;
+};
+
+// Create a pending referral for the bidder's referrer, if any; settleDeal credits it once the deal completes
+const trackReferral = async (listing, bid, deal) => {
+  try {
+    // Get bidder's details to check for referral
+    const bidder = await User.findById(bid.userId).select('referredBy username fullName');
+
+    if (bidder && bidder.referredBy) {
+      // Find the referrer
+      const referrer = await User.findOne({
+        $or: [
+          { username: bidder.referredBy },
+          { referralCode: bidder.referredBy }
+        ]
+      }).select('_id username referralCode fullName');
+
+      if (referrer) {
+        // Fee that applied to this bid, commission from platform settings
+        const settings = await Settings.getSettings();
+
+        const platformFeePercentage = bid.platformFeePercentage ?? settings.platformFeePercentage;
+        const referralCommissionPercentage = settings.referralCommissionPercentage || 10;
+
+        // Calculate amounts
+        const dealAmount = bid.price * bid.quantity;
+        const platformRevenue = (dealAmount * platformFeePercentage) / 100;
+        const referralAmount = (platformRevenue * referralCommissionPercentage) / 100;
+
+        // Create referral tracking entry
+        await ReferralTracking.create({
+          referrer: referrer._id,
+          referrerName: referrer.fullName || referrer.username,
+          referrerCode: referrer.referralCode,
+          referee: bidder._id,
+          refereeName: bidder.fullName || bidder.username,
+          listing: listing._id,
+          deal: deal._id,
+          company: listing.companyId,
+          companyName: listing.companyName,
+          dealAmount,
+          quantity: bid.quantity,
+          pricePerShare: bid.price,
+          platformFeePercentage,
+          platformRevenue,
+          referralCommissionPercentage,
+          referralAmount,
+          dealType: listing.type,
+          status: 'pending'
+        });
+
+        // Earnings are only credited once the deal completes
+        await User.findByIdAndUpdate(referrer._id, { $inc: { totalReferrals: 1 } });
+      }
+    }
+  } catch (referralError) {
+    // Log error but don't fail the bid acceptance
+    console.error('Error creating referral tracking:', referralError);
+  }
+};
@@ -0,0 +1,232 @@
+import Deal from '../models/Deal.js';
+import Listing from '../models/Listing.js';
+import Rfq from '../models/Rfq.js';
+import Notification from '../models/Notification.js';
+import Transaction from '../models/Transaction.js';
+import ReferralTracking from '../models/ReferralTracking.js';
+import User from '../models/User.js';
+import { recordTrade, voidTrade } from './priceHistory.js';
+import { updateReputation } from './reputation.js';
+
+const STATUS_LABELS = {
+  awaiting_payment: 'Awaiting Payment',
+  payment_confirmed: 'Payment Confirmed',
+  shares_transferred: 'Shares Transferred',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  disputed: 'Disputed'
+};
+
+/**
+ * Create the deal record for an accepted bid/offer.
+ * On a sell post the owner is the seller; on a buy request the owner is the buyer.
+ */
+export const createDealFromBid = async (listing, bid) => {
+  const ownerIsSeller = listing.type === 'sell';
+  const bidder = { id: bid.userId, username: bid.username };
+  const owner = { id: listing.userId?._id || listing.userId, username: listing.username };
+  const seller = ownerIsSeller ? owner : bidder;
+  const buyer = ownerIsSeller ? bidder : owner;
+
+  const buyerPrice = bid.buyerOfferedPrice ?? bid.price;
+  const sellerPrice = bid.sellerReceivesPrice ?? bid.price;
+
+  const deal = await Deal.create({
+    listingId: listing._id,
+    bidId: bid._id,
+    listingType: listing.type,
+    companyId: listing.companyId?._id || listing.companyId,
+    companyName: listing.companyName,
+    sellerId: seller.id,
+    sellerUsername: seller.username,
+    buyerId: buyer.id,
+    buyerUsername: buyer.username,
+    price: bid.price,
+    buyerPrice,
+    sellerPrice,
+    quantity: bid.quantity,
+    platformFeePercentage: bid.platformFeePercentage,
+    platformFee: (buyerPrice - sellerPrice) * bid.quantity,
+    totalAmount: buyerPrice * bid.quantity,
+    statusHistory: [{ status: 'awaiting_payment', by: ownerIsSeller ? 'seller' : 'buyer', userId: owner.id }]
+  });
+
+  // Accepted price is the platform's traded price signal
+  await recordTrade(deal);
+
+  return deal;
+};
+
+/**
+ * Create the deal record for an awarded RFQ quote. The RFQ owner is the buyer.
+ */
+export const createDealFromQuote = async (rfq, quote, quantity) => {
+  const buyerPrice = quote.buyerOfferedPrice ?? quote.price;
+  const sellerPrice = quote.sellerReceivesPrice ?? quote.price;
+
+  const deal = await Deal.create({
+    rfqId: rfq._id,
+    bidId: quote._id,
+    listingType: 'rfq',
+    companyId: rfq.companyId,
+    companyName: rfq.companyName,
+    sellerId: quote.sellerId,
+    sellerUsername: quote.sellerUsername,
+    buyerId: rfq.buyerId,
+    buyerUsername: rfq.buyerUsername,
+    price: quote.price,
+    buyerPrice,
+    sellerPrice,
+    quantity,
+    platformFeePercentage: quote.platformFeePercentage,
+    platformFee: (buyerPrice - sellerPrice) * quantity,
+    totalAmount: buyerPrice * quantity,
+    statusHistory: [{ status: 'awaiting_payment', by: 'buyer', userId: rfq.buyerId }]
+  });
+
+  await recordTrade(deal);
+
+  return deal;
+};
+
+/**
+ * Notify both parties (except the actor) about a deal status change
+ */
+export const notifyDealParties = async (deal, { actorId, message } = {}) => {
+  const recipients = [deal.buyerId, deal.sellerId]
+    .filter(id => !actorId || id.toString() !== actorId.toString());
+
+  if (recipients.length === 0) return;
+
+  await Notification.insertMany(recipients.map(userId => ({
+    userId,
+    type: 'deal_update',
+    title: `Deal ${STATUS_LABELS[deal.status]}`,
+    message: message || `Your deal for ${deal.quantity} shares of ${deal.companyName} is now ${STATUS_LABELS[deal.status].toLowerCase()}.`,
+    data: {
+      listingId: deal.listingId,
+      bidId: deal.bidId,
+      dealId: deal._id,
+      amount: deal.price,
+      quantity: deal.quantity,
+      companyName: deal.companyName
+    }
+  })));
+};
+
+// Credit the referrer's earnings for a completed deal, once per referral
+const creditReferrals = async (deal) => {
+  const referrals = await ReferralTracking.find({ deal: deal._id, status: 'pending', earnedAt: null });
+
+  for (const referral of referrals) {
+    const claimed = await ReferralTracking.updateOne(
+      { _id: referral._id, earnedAt: null },
+      { $set: { earnedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    await User.findByIdAndUpdate(referral.referrer, { $inc: { totalEarnings: referral.referralAmount } });
+
+    await Notification.create({
+      userId: referral.referrer,
+      type: 'referral_earning',
+      title: '💰 Referral Earning!',
+      message: `You earned ₹${referral.referralAmount.toFixed(2)} from ${referral.refereeName}'s deal of ${referral.quantity} ${referral.companyName} shares!`,
+      data: {
+        dealId: deal._id,
+        dealAmount: referral.dealAmount,
+        referralAmount: referral.referralAmount,
+        refereeName: referral.refereeName,
+        companyName: referral.companyName
+      }
+    });
+  }
+};
+
+/**
+ * Record downstream effects once a deal reaches a final state:
+ * revenue/portfolio transaction, referral earnings and reputation on completion; on
+ * cancellation the listing (or RFQ award) is reopened, its trade voided, any refund recorded
+ * and any pending referral rejected.
+ */
+export const settleDeal = async (deal) => {
+  if (deal.status === 'completed') {
+    // Completed deals and settlement time feed both parties' reputation
+    await Promise.all([updateReputation(deal.buyerId), updateReputation(deal.sellerId)]);
+
+    await creditReferrals(deal);
+
+    const existing = await Transaction.findOne({ dealId: deal._id, type: 'platform_fee' });
+    if (existing) return existing;
+
+    return Transaction.create({
+      type: 'platform_fee',
+      dealId: deal._id,
+      listingId: deal.listingId,
+      buyerId: deal.buyerId,
+      sellerId: deal.sellerId,
+      amount: deal.platformFee,
+      tradeAmount: deal.totalAmount,
+      price: deal.buyerPrice,
+      quantity: deal.quantity,
+      companyName: deal.companyName,
+      description: `Platform fee for deal of ${deal.quantity} ${deal.companyName} shares`
+    });
+  }
+
+  if (deal.status === 'cancelled') {
+    // Return the shares to the listing and close out the accepted bid
+    const listing = deal.listingId ? await Listing.findById(deal.listingId) : null;
+    if (listing) {
+      const bid = (listing.type === 'sell' ? listing.bids : listing.offers).id(deal.bidId);
+      if (bid) bid.status = 'cancelled';
+      listing.remainingQuantity = Math.min(
+        listing.quantity,
+        (listing.remainingQuantity ?? 0) + deal.quantity
+      );
+      if (listing.status === 'sold' && listing.expiresAt > new Date()) {
+        listing.status = 'active';
+      }
+      await listing.save();
+    }
+
+    // RFQ deals free up the awarded quantity instead
+    if (deal.rfqId) {
+      await Rfq.updateOne(
+        { _id: deal.rfqId, 'quotes._id': deal.bidId },
+        { $set: { 'quotes.$.status': 'cancelled' }, $inc: { awardedQuantity: -deal.quantity } }
+      );
+    }
+
+    await voidTrade(deal);
+
+    // Refunds from dispute resolutions go on the books next to platform fees
+    if (deal.refundAmount && !await Transaction.exists({ dealId: deal._id, type: 'refund' })) {
+      await Transaction.create({
+        type: 'refund',
+        dealId: deal._id,
+        listingId: deal.listingId,
+        buyerId: deal.buyerId,
+        sellerId: deal.sellerId,
+        amount: deal.refundAmount,
+        tradeAmount: deal.totalAmount,
+        price: deal.buyerPrice,
+        quantity: deal.quantity,
+        companyName: deal.companyName,
+        description: `Refund to buyer for disputed deal of ${deal.quantity} ${deal.companyName} shares`
+      });
+    }
+
+    const referrals = await ReferralTracking.find({ deal: deal._id, status: 'pending' });
+    for (const referral of referrals) {
+      referral.status = 'rejected';
+      referral.notes = 'Deal cancelled';
+      await referral.save();
+
+      // Earnings are only credited on completion, so there are none to take back
+      await User.findByIdAndUpdate(referral.referrer, { $inc: { totalReferrals: -1 } });
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,178 @@
+import Dispute, { DISPUTE_OUTCOMES, MAX_EVIDENCE_FILES } from '../models/Dispute.js';
+import Notification from '../models/Notification.js';
+import { settleDeal } from './dealService.js';
+
+const CATEGORY_LABELS = {
+  non_payment: 'non-payment',
+  shares_not_transferred: 'shares not transferred',
+  price_disagreement: 'price disagreement'
+};
+
+const OUTCOME_LABELS = {
+  refund: 'refund to the buyer',
+  force_complete: 'deal completed',
+  cancel: 'deal cancelled'
+};
+
+// Deal status each outcome moves the disputed deal to
+const OUTCOME_STATUSES = {
+  refund: 'cancelled',
+  force_complete: 'completed',
+  cancel: 'cancelled'
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const disputeError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Uploaded multer files as evidence entries
+const toEvidence = (files, user, role) => files.map(file => ({
+  fileName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+  data: file.buffer,
+  uploadedBy: user._id,
+  uploadedByRole: role
+}));
+
+/**
+ * Tell both parties about a step in their dispute
+ */
+export const notifyDisputeParties = async (dispute, deal, { title, message }) => {
+  await Notification.insertMany([deal.buyerId, deal.sellerId].map(userId => ({
+    userId,
+    type: 'dispute_update',
+    title,
+    message,
+    data: {
+      listingId: deal.listingId,
+      dealId: deal._id,
+      disputeId: dispute._id,
+      amount: deal.price,
+      quantity: deal.quantity,
+      companyName: deal.companyName
+    }
+  })));
+};
+
+/**
+ * Raise a dispute on a deal: the deal moves to disputed and the SLA timers start
+ */
+export const raiseDispute = async (deal, user, role, { category, description, files = [] }, settings) => {
+  const now = new Date();
+
+  // Throws if the deal can't be disputed from its current status
+  deal.transitionTo('disputed', { by: role, userId: user._id, note: `${CATEGORY_LABELS[category]}: ${description}` });
+
+  const dispute = new Dispute({
+    dealId: deal._id,
+    raisedBy: user._id,
+    raisedByRole: role,
+    category,
+    description,
+    evidence: toEvidence(files, user, role),
+    responseDueAt: new Date(now.getTime() + settings.disputeResponseSlaHours * HOUR),
+    resolutionDueAt: new Date(now.getTime() + settings.disputeResolutionSlaHours * HOUR),
+    history: [{ action: 'raised', by: role, note: CATEGORY_LABELS[category], timestamp: now }]
+  });
+
+  // Validate before the deal is saved so a bad dispute doesn't leave the deal disputed
+  await dispute.validate();
+  await deal.save();
+  await dispute.save();
+
+  await notifyDisputeParties(dispute, deal, {
+    title: 'Dispute Raised',
+    message: `The ${role} raised a dispute (${CATEGORY_LABELS[category]}) on the deal for ${deal.quantity} shares of ${deal.companyName}. Our team will respond within ${settings.disputeResponseSlaHours} hours.`
+  });
+
+  return dispute;
+};
+
+/**
+ * Add evidence files to an unresolved dispute
+ */
+export const addDisputeEvidence = async (dispute, deal, user, role, files) => {
+  if (dispute.status === 'resolved') throw disputeError('Dispute is already resolved');
+  if (files.length === 0) throw disputeError('At least one evidence file is required');
+  if (dispute.evidence.length + files.length > MAX_EVIDENCE_FILES) {
+    throw disputeError(`A dispute can have at most ${MAX_EVIDENCE_FILES} evidence files`);
+  }
+
+  dispute.evidence.push(...toEvidence(files, user, role));
+  dispute.history.push({ action: 'evidence_added', by: role, note: `${files.length} file${files.length === 1 ? '' : 's'}` });
+  await dispute.save();
+
+  await notifyDisputeParties(dispute, deal, {
+    title: 'Dispute Evidence Added',
+    message: `The ${role} added evidence to the dispute on the ${deal.companyName} deal.`
+  });
+
+  return dispute;
+};
+
+/**
+ * Assign a dispute to an admin. The first assignment counts as the SLA response.
+ */
+export const assignDispute = async (dispute, deal, admin) => {
+  if (dispute.status === 'resolved') throw disputeError('Dispute is already resolved');
+
+  const now = new Date();
+  dispute.assignedTo = admin._id;
+  dispute.assignedAt = now;
+  dispute.status = 'in_review';
+  if (!dispute.firstRespondedAt) dispute.firstRespondedAt = now;
+  dispute.history.push({ action: 'assigned', by: 'admin', timestamp: now });
+  await dispute.save();
+
+  await notifyDisputeParties(dispute, deal, {
+    title: 'Dispute Under Review',
+    message: `An admin is now reviewing the dispute on the ${deal.companyName} deal.`
+  });
+
+  return dispute;
+};
+
+/**
+ * Resolve a dispute and move the deal to the outcome's status, settling it
+ */
+export const resolveDispute = async (dispute, deal, admin, { outcome, note }) => {
+  if (dispute.status === 'resolved') throw disputeError('Dispute is already resolved');
+  if (!DISPUTE_OUTCOMES.includes(outcome)) throw disputeError(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`);
+  if (deal.status !== 'disputed') throw disputeError(`Deal is ${deal.status}, not disputed`);
+
+  const now = new Date();
+  const status = OUTCOME_STATUSES[outcome];
+
+  if (status === 'cancelled') {
+    deal.cancelledBy = 'admin';
+    deal.cancellationReason = `Dispute resolved: ${OUTCOME_LABELS[outcome]}${note ? ` (${note})` : ''}`;
+  }
+  if (outcome === 'refund') {
+    deal.refundAmount = deal.totalAmount ?? deal.price * deal.quantity;
+    deal.refundedAt = now;
+  }
+  deal.transitionTo(status, { by: 'admin', userId: admin._id, note: `Dispute resolved: ${OUTCOME_LABELS[outcome]}` });
+  await deal.save();
+
+  dispute.status = 'resolved';
+  dispute.resolution = { outcome, note, resolvedBy: admin._id, resolvedAt: now };
+  if (!dispute.firstRespondedAt) dispute.firstRespondedAt = now;
+  dispute.history.push({ action: 'resolved', by: 'admin', note: OUTCOME_LABELS[outcome], timestamp: now });
+  await dispute.save();
+
+  await settleDeal(deal);
+
+  await notifyDisputeParties(dispute, deal, {
+    title: 'Dispute Resolved',
+    message: outcome === 'refund'
+      ? `The dispute on the ${deal.companyName} deal was resolved with a refund of ₹${deal.refundAmount} to the buyer. The deal is cancelled.${note ? ` ${note}` : ''}`
+      : `The dispute on the ${deal.companyName} deal was resolved: ${OUTCOME_LABELS[outcome]}.${note ? ` ${note}` : ''}`
+  });
+
+  return dispute;
+};
@@ -0,0 +1,66 @@
+import Settings from '../models/Settings.js';
+import Company from '../models/Company.js';
+import { DEFAULT_FEE_PERCENTAGE, addFee, deductFee } from '../utils/fees.js';
+
+/**
+ * Resolve the platform fee percentage for a trade.
+ * Company override wins over segmentation override, which wins over the global setting.
+ */
+export const getFeePercentage = async ({ companyId, company, companySegmentation } = {}) => {
+  const companyDoc = company || (companyId ? await Company.findById(companyId).select('platformFeePercentage') : null);
+  if (companyDoc?.platformFeePercentage != null) {
+    return companyDoc.platformFeePercentage;
+  }
+
+  const settings = await Settings.getSettings();
+
+  const segmentationFee = companySegmentation
+    ? settings.segmentationFeeOverrides?.get(companySegmentation)
+    : null;
+  if (segmentationFee != null) return segmentationFee;
+
+  return settings.platformFeePercentage ?? DEFAULT_FEE_PERCENTAGE;
+};
+
+/**
+ * Set price and fee fields on a listing, snapshotting the fee percentage.
+ * Sell posts: seller enters what they want to receive, buyers see it plus fee.
+ * Buy requests: buyer enters their max budget, sellers see it minus fee.
+ */
+export const applyListingPricing = (listing, price, feePercentage) => {
+  listing.price = price;
+  listing.platformFeePercentage = feePercentage;
+  if (listing.type === 'sell') {
+    listing.sellerDesiredPrice = price;
+    listing.displayPrice = addFee(price, feePercentage);
+    listing.platformFee = listing.displayPrice - price;
+  } else {
+    listing.buyerMaxPrice = price;
+    listing.displayPrice = deductFee(price, feePercentage);
+    listing.platformFee = price - listing.displayPrice;
+  }
+  return listing;
+};
+
+/**
+ * Set price and fee fields on a bid/offer, snapshotting the fee percentage.
+ * A buyer enters what they pay; a seller enters what they receive.
+ */
+export const applyBidPricing = (bid, price, enteredBy, feePercentage) => {
+  bid.price = price;
+  bid.platformFeePercentage = feePercentage;
+  if (enteredBy === 'buyer') {
+    bid.buyerOfferedPrice = price;
+    bid.sellerReceivesPrice = deductFee(price, feePercentage);
+    bid.platformFee = price - bid.sellerReceivesPrice;
+  } else {
+    bid.sellerReceivesPrice = price;
+    bid.buyerOfferedPrice = addFee(price, feePercentage);
+    bid.platformFee = bid.buyerOfferedPrice - price;
+  }
+  return bid;
+};
+
+// Bids and counters use the fee snapshotted on their listing
+export const getListingFeePercentage = (listing) =>
+  listing.platformFeePercentage ?? DEFAULT_FEE_PERCENTAGE;
@@ -0,0 +1,280 @@
+import os from 'os';
+import Listing from '../models/Listing.js';
+import Ad from '../models/Ad.js';
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import JobLock from '../models/JobLock.js';
+import { getBidArray } from './bidService.js';
+import { closeEndedAuctions } from './auctionService.js';
+import { closeExpiredRfqs } from './rfqService.js';
+
+const JOB_NAME = 'lifecycle-sweeper';
+const BATCH_SIZE = 200;
+const OPEN_BID_STATUSES = ['pending', 'countered'];
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const bidExpiredNotification = (listing, bid, reason) => ({
+  userId: bid.userId,
+  type: 'bid_expired',
+  title: listing.type === 'sell' ? 'Bid Expired' : 'Offer Expired',
+  message: `Your ${listing.type === 'sell' ? 'bid' : 'offer'} of ₹${bid.price} for ${bid.quantity} shares of ${listing.companyName} has expired${reason ? ` (${reason})` : ''}.`,
+  data: {
+    listingId: listing._id,
+    bidId: bid._id,
+    amount: bid.price,
+    quantity: bid.quantity,
+    companyName: listing.companyName
+  }
+});
+
+/**
+ * Mark active listings past expiresAt as expired, along with their open bids/offers
+ */
+export const expireListings = async (now) => {
+  // Live auctions are closed by closeEndedAuctions instead
+  const listings = await Listing.find({ status: 'active', expiresAt: { $lte: now }, 'auction.status': { $ne: 'live' } })
+    .setOptions({ includeExpired: true })
+    .limit(BATCH_SIZE);
+
+  const notifications = [];
+
+  for (const listing of listings) {
+    listing.status = 'expired';
+
+    getBidArray(listing).forEach(bid => {
+      if (OPEN_BID_STATUSES.includes(bid.status)) {
+        bid.status = 'expired';
+        notifications.push(bidExpiredNotification(listing, bid, 'listing expired'));
+      }
+    });
+
+    await listing.save();
+
+    notifications.push({
+      userId: listing.userId,
+      type: 'listing_expired',
+      title: 'Listing Expired',
+      message: `Your ${listing.type === 'sell' ? 'sell post' : 'buy request'} for ${listing.companyName} has expired.`,
+      data: {
+        listingId: listing._id,
+        amount: listing.price,
+        quantity: listing.remainingQuantity ?? listing.quantity,
+        companyName: listing.companyName
+      }
+    });
+  }
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+
+  return listings.length;
+};
+
+/**
+ * Warn owners once when their active listing is about to expire
+ */
+export const warnExpiringListings = async (now, settings) => {
+  const warnBefore = new Date(now.getTime() + settings.listingExpiryWarningHours * 60 * 60 * 1000);
+
+  const listings = await Listing.find({
+    status: 'active',
+    expiryWarningSentAt: null,
+    expiresAt: { $gt: now, $lte: warnBefore }
+  })
+    .setOptions({ includeExpired: true })
+    .select('userId type companyName expiresAt price quantity remainingQuantity')
+    .limit(BATCH_SIZE);
+
+  if (listings.length === 0) return 0;
+
+  await Notification.insertMany(listings.map(listing => ({
+    userId: listing.userId,
+    type: 'listing_expiring',
+    title: 'Listing Expiring Soon',
+    message: `Your ${listing.type === 'sell' ? 'sell post' : 'buy request'} for ${listing.companyName} expires on ${listing.expiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`,
+    data: {
+      listingId: listing._id,
+      amount: listing.price,
+      quantity: listing.remainingQuantity ?? listing.quantity,
+      companyName: listing.companyName
+    }
+  })));
+
+  await Listing.updateMany(
+    { _id: { $in: listings.map(listing => listing._id) } },
+    { $set: { expiryWarningSentAt: now } }
+  );
+
+  return listings.length;
+};
+
+/**
+ * Clear boosts whose window has passed
+ */
+export const resetExpiredBoosts = async (now) => {
+  const result = await Listing.updateMany(
+    { isBoosted: true, boostExpiresAt: { $lte: now } },
+    { $set: { isBoosted: false, boostPlacement: null } }
+  );
+  return result.modifiedCount;
+};
+
+// Whether a bid/offer array has an open entry whose last activity (latest
+// counter/amendment, else creation) is at or before cutoff
+const hasStaleBid = (field, cutoff) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: { $ifNull: [`$${field}`, []] },
+      as: 'bid',
+      in: {
+        $and: [
+          { $in: ['$$bid.status', OPEN_BID_STATUSES] },
+          { $lte: [{ $ifNull: [{ $max: '$$bid.counterHistory.timestamp' }, '$$bid.createdAt'] }, cutoff] }
+        ]
+      }
+    }
+  }]
+});
+
+/**
+ * Expire open bids/offers with no activity for bidExpiryDays,
+ * and any still open on listings that are no longer active
+ */
+export const expireStaleBids = async (now, settings) => {
+  const cutoff = new Date(now.getTime() - settings.bidExpiryDays * 24 * 60 * 60 * 1000);
+
+  // Live auction bids stay open until the auction closes
+  const listings = await Listing.find({
+    'auction.status': { $ne: 'live' },
+    $or: [
+      { 'bids.status': { $in: OPEN_BID_STATUSES }, $expr: hasStaleBid('bids', cutoff) },
+      { 'offers.status': { $in: OPEN_BID_STATUSES }, $expr: hasStaleBid('offers', cutoff) },
+      {
+        status: { $ne: 'active' },
+        $or: [
+          { 'bids.status': { $in: OPEN_BID_STATUSES } },
+          { 'offers.status': { $in: OPEN_BID_STATUSES } }
+        ]
+      }
+    ]
+  })
+    .setOptions({ includeExpired: true })
+    .sort({ _id: 1 })
+    .limit(BATCH_SIZE);
+
+  const notifications = [];
+
+  for (const listing of listings) {
+    let changed = false;
+
+    getBidArray(listing).forEach(bid => {
+      if (!OPEN_BID_STATUSES.includes(bid.status)) return;
+
+      // Last counter/amendment counts as activity
+      const lastActivity = bid.counterHistory?.length
+        ? bid.counterHistory[bid.counterHistory.length - 1].timestamp
+        : bid.createdAt;
+      const listingClosed = listing.status !== 'active';
+
+      if (listingClosed || lastActivity <= cutoff) {
+        bid.status = 'expired';
+        changed = true;
+        notifications.push(bidExpiredNotification(
+          listing,
+          bid,
+          listingClosed ? 'listing no longer active' : `no response in ${settings.bidExpiryDays} days`
+        ));
+      }
+    });
+
+    if (changed) await listing.save();
+  }
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+
+  return notifications.length;
+};
+
+/**
+ * Mark ads past their end date as expired
+ */
+export const expireAds = async (now) => {
+  const result = await Ad.updateMany(
+    { status: 'active', endDate: { $lt: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+const TASKS = {
+  closedAuctions: closeEndedAuctions,
+  expiredListings: expireListings,
+  expiryWarnings: warnExpiringListings,
+  expiredBoosts: resetExpiredBoosts,
+  expiredBids: expireStaleBids,
+  expiredAds: expireAds,
+  closedRfqs: closeExpiredRfqs
+};
+
+/**
+ * Run every lifecycle task once. Returns null if another instance holds the lock.
+ * The lock lease (lockTtlMs) is the sweep interval: the instance that runs a sweep
+ * keeps the lease until the next slot.
+ */
+export const runLifecycleSweep = async ({ lockTtlMs = 5 * 60 * 1000 } = {}) => {
+  const acquired = await JobLock.acquire(JOB_NAME, INSTANCE_ID, lockTtlMs);
+  if (!acquired) return null;
+
+  const results = {};
+  try {
+    const now = new Date();
+    const settings = await Settings.getSettings();
+
+    for (const [name, task] of Object.entries(TASKS)) {
+      try {
+        results[name] = await task(now, settings);
+      } catch (error) {
+        // One failing task shouldn't block the others
+        console.error(`[Sweeper] ${name} failed:`, error);
+        results[name] = { error: error.message };
+      }
+    }
+  } catch (error) {
+    await JobLock.release(JOB_NAME, INSTANCE_ID);
+    throw error;
+  }
+
+  await JobLock.recordRun(JOB_NAME, INSTANCE_ID, results);
+  return results;
+};
+
+/**
+ * Start the in-process scheduler. Safe on multiple instances: the lock
+ * document makes sure only one of them sweeps per interval.
+ */
+export const startLifecycleSweeper = ({
+  intervalMs = (parseInt(process.env.LIFECYCLE_SWEEP_INTERVAL_MINUTES) || 5) * 60 * 1000
+} = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runLifecycleSweep({ lockTtlMs: intervalMs });
+    } catch (error) {
+      console.error('[Sweeper] Lifecycle sweep failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  setTimeout(tick, 10 * 1000).unref(); // First sweep shortly after boot
+
+  return () => clearInterval(timer);
+};
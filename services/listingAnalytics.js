@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import Listing from '../models/Listing.js';
+import ListingView, { LISTING_VIEW_REFERRERS } from '../models/ListingView.js';
+import Transaction from '../models/Transaction.js';
+import { BOOST_PLACEMENTS } from '../models/BoostPackage.js';
+import { getBidArray } from './bidService.js';
+
+const ANALYTICS_TIMEZONE = 'Asia/Kolkata';
+
+// YYYY-MM-DD in the platform's timezone
+const toDay = (date) => date.toLocaleDateString('en-CA', { timeZone: ANALYTICS_TIMEZONE });
+
+// Bids per 100 unique daily views
+const getConversionRate = (bids, views) => (views > 0 ? Math.round((bids / views) * 10000) / 100 : 0);
+
+// Guests are told apart by IP and user agent, without storing either
+const getGuestKey = (ip, userAgent) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'listing-views')
+  .update(`${ip}|${userAgent || ''}`)
+  .digest('hex');
+
+/**
+ * Record a detail view of a listing. Each viewer counts once per day;
+ * listing.views is the running total of those unique daily views.
+ * Owners viewing their own listing are not counted.
+ */
+export const recordListingView = async (listing, { user, ip, userAgent, referrer, boostPlacement, now = new Date() }) => {
+  const ownerId = (listing.userId?._id || listing.userId).toString();
+  if (user && user._id.toString() === ownerId) return false;
+
+  const source = LISTING_VIEW_REFERRERS.includes(referrer) ? referrer : 'direct';
+
+  const result = await ListingView.updateOne(
+    {
+      listingId: listing._id,
+      day: toDay(now),
+      viewerKey: user ? user._id.toString() : getGuestKey(ip, userAgent)
+    },
+    {
+      $setOnInsert: {
+        userId: user?._id || null,
+        isGuest: !user,
+        referrer: source,
+        boostPlacement: source === 'boost' && BOOST_PLACEMENTS.includes(boostPlacement) ? boostPlacement : null,
+        duringBoost: Boolean(listing.isBoosted)
+      }
+    },
+    { upsert: true }
+  );
+
+  if (!result.upsertedCount) return false;
+
+  await Listing.updateOne({ _id: listing._id }, { $inc: { views: 1 } }, { timestamps: false });
+  return true;
+};
+
+// Boost windows bought for a listing, from its boost_fee transactions
+const getBoostWindows = async (listingId) => {
+  const boosts = await Transaction.find({ listingId, type: 'boost_fee', 'boostPackage.boostExpiresAt': { $ne: null } })
+    .sort('createdAt');
+
+  return boosts.map(tx => ({
+    packageName: tx.boostPackage.name,
+    placement: tx.boostPackage.placement,
+    price: tx.amount,
+    startsAt: new Date(tx.boostPackage.boostExpiresAt.getTime() - tx.boostPackage.durationDays * 24 * 60 * 60 * 1000),
+    endsAt: tx.boostPackage.boostExpiresAt
+  }));
+};
+
+/**
+ * Views, bids received and view-to-bid conversion for a listing: totals, by referrer,
+ * boosted versus not boosted, and per day
+ */
+export const getListingAnalytics = async (listing) => {
+  const [views, boostWindows] = await Promise.all([
+    ListingView.find({ listingId: listing._id }).select('day viewerKey isGuest referrer boostPlacement duringBoost').lean(),
+    getBoostWindows(listing._id)
+  ]);
+  const bids = getBidArray(listing);
+
+  const isDuringBoost = (date) => boostWindows.some(window => date >= window.startsAt && date < window.endsAt);
+
+  const daily = new Map();
+  const getDay = (day) => {
+    if (!daily.has(day)) daily.set(day, { date: day, views: 0, loggedInViews: 0, guestViews: 0, bids: 0 });
+    return daily.get(day);
+  };
+
+  const byReferrer = Object.fromEntries(LISTING_VIEW_REFERRERS.map(referrer => [referrer, 0]));
+  const byBoostPlacement = Object.fromEntries(BOOST_PLACEMENTS.map(placement => [placement, 0]));
+  const boosted = { views: 0, bids: 0 };
+  const notBoosted = { views: 0, bids: 0 };
+
+  views.forEach(view => {
+    const day = getDay(view.day);
+    day.views += 1;
+    day[view.isGuest ? 'guestViews' : 'loggedInViews'] += 1;
+    byReferrer[view.referrer] += 1;
+    if (view.boostPlacement) byBoostPlacement[view.boostPlacement] += 1;
+    (view.duringBoost ? boosted : notBoosted).views += 1;
+  });
+
+  bids.forEach(bid => {
+    getDay(toDay(bid.createdAt)).bids += 1;
+    (isDuringBoost(bid.createdAt) ? boosted : notBoosted).bids += 1;
+  });
+
+  const loggedInViews = views.filter(view => !view.isGuest).length;
+
+  return {
+    totals: {
+      views: views.length,
+      uniqueViewers: new Set(views.map(view => view.viewerKey)).size,
+      loggedInViews,
+      guestViews: views.length - loggedInViews,
+      bids: bids.length,
+      bidders: new Set(bids.map(bid => bid.userId.toString())).size,
+      conversionRate: getConversionRate(bids.length, views.length)
+    },
+    byReferrer,
+    byBoostPlacement,
+    boost: {
+      windows: boostWindows,
+      boosted: { ...boosted, conversionRate: getConversionRate(boosted.bids, boosted.views) },
+      notBoosted: { ...notBoosted, conversionRate: getConversionRate(notBoosted.bids, notBoosted.views) }
+    },
+    daily: [...daily.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ ...day, conversionRate: getConversionRate(day.bids, day.views) }))
+  };
+};
@@ -0,0 +1,169 @@
+import Listing from '../models/Listing.js';
+import ListingMatch from '../models/ListingMatch.js';
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import { getIdentity } from './anonymity.js';
+
+const MAX_MATCHES = 20;
+const MAX_MATCH_ALERTS = 5;
+
+/**
+ * Offer that meets a listing on its own terms, so its owner can accept as-is.
+ * Buyers bid the fee-inclusive price, sellers offer what they receive -
+ * both are the listing's displayPrice.
+ */
+const getSuggestedOffer = (target, quantity) => ({
+  listingId: target._id,
+  price: target.displayPrice ?? target.price,
+  quantity
+});
+
+// Own price of a listing: what a seller wants to receive, or the most a buyer will pay
+const getOwnPrice = (listing) => (
+  listing.type === 'sell'
+    ? listing.sellerDesiredPrice ?? listing.price
+    : listing.buyerMaxPrice ?? listing.price
+);
+
+// Whether an offer at this price is at least as good as the owner's own price
+const crossesOwnPrice = (owner, offer) => (
+  owner.type === 'sell' ? offer.price >= getOwnPrice(owner) : offer.price <= getOwnPrice(owner)
+);
+
+// Largest quantity both listings can fill, or null if their lots don't fit
+const getMatchedQuantity = (sellListing, buyListing) => {
+  const quantity = Math.min(
+    sellListing.remainingQuantity ?? sellListing.quantity,
+    buyListing.remainingQuantity ?? buyListing.quantity
+  );
+  if (quantity <= 0) return null;
+  if (sellListing.getFillError(quantity) || buyListing.getFillError(quantity)) return null;
+  return quantity;
+};
+
+/**
+ * Find active listings on the other side of the book that cross this one:
+ * a sell post's desired price at or below a buy request's max price, and a
+ * suggested offer no worse than this listing's own price once fees apply.
+ * Auctions only trade through their bidding rounds and are never matched.
+ * Best price first.
+ */
+export const findMatches = async (listing, { limit = MAX_MATCHES } = {}) => {
+  if (listing.status !== 'active' || listing.auction) return [];
+
+  const isSell = listing.type === 'sell';
+  const companyId = listing.companyId?._id || listing.companyId;
+
+  // Only public listings are suggested as matches
+  const query = {
+    ...Listing.visibleToFilter(null),
+    companyId,
+    type: isSell ? 'buy' : 'sell',
+    status: 'active',
+    auction: null,
+    userId: { $ne: listing.userId }
+  };
+  if (isSell) {
+    query.buyerMaxPrice = { $gte: getOwnPrice(listing) };
+  } else {
+    query.sellerDesiredPrice = { $lte: getOwnPrice(listing) };
+  }
+
+  const candidates = await Listing.find(query)
+    .sort(isSell ? { buyerMaxPrice: -1, createdAt: 1 } : { sellerDesiredPrice: 1, createdAt: 1 })
+    .limit(limit)
+    .select('-bids -offers');
+
+  const matches = [];
+  for (const counterpart of candidates) {
+    const sellListing = isSell ? listing : counterpart;
+    const buyListing = isSell ? counterpart : listing;
+
+    const quantity = getMatchedQuantity(sellListing, buyListing);
+    if (!quantity) continue;
+
+    const suggestedOffer = getSuggestedOffer(counterpart, quantity);
+    if (!crossesOwnPrice(listing, suggestedOffer)) continue;
+
+    matches.push({
+      listing: counterpart,
+      sellerDesiredPrice: sellListing.sellerDesiredPrice ?? sellListing.price,
+      buyerMaxPrice: buyListing.buyerMaxPrice ?? buyListing.price,
+      quantity,
+      suggestedOffer
+    });
+  }
+
+  return matches;
+};
+
+const matchNotification = async (owner, target, offer, settings) => {
+  // Owners of anonymous listings are announced under their pseudonym
+  const { fromUser, mention } = await getIdentity(target, { _id: target.userId, username: target.username }, { settings });
+
+  return {
+    userId: owner.userId,
+    type: 'listing_match',
+    title: owner.type === 'sell' ? 'Buyer Found for Your Sell Post' : 'Seller Found for Your Buy Request',
+    message: `${mention} is ${target.type === 'sell' ? 'selling' : 'buying'} ${target.companyName} shares at ₹${offer.price.toFixed(2)}. Send ${target.type === 'sell' ? 'a bid' : 'an offer'} for ${offer.quantity} shares at the matched price.`,
+    data: {
+      listingId: owner._id,
+      matchedListingId: target._id,
+      fromUser,
+      amount: offer.price,
+      quantity: offer.quantity,
+      companyName: target.companyName
+    }
+  };
+};
+
+/**
+ * Notify both owners of each new crossing pair for a created/updated listing.
+ * A pair is only ever notified once.
+ */
+export const notifyMatches = async (listing) => {
+  // Private listings find matches on request but are never announced
+  if (!listing.isPublic()) return 0;
+
+  const matches = await findMatches(listing);
+  const settings = await Settings.getSettings();
+  let notified = 0;
+
+  for (const match of matches) {
+    if (notified >= MAX_MATCH_ALERTS) break;
+
+    const counterpart = match.listing;
+    const isSell = listing.type === 'sell';
+
+    const result = await ListingMatch.updateOne(
+      {
+        sellListingId: isSell ? listing._id : counterpart._id,
+        buyListingId: isSell ? counterpart._id : listing._id
+      },
+      {
+        $setOnInsert: {
+          companyId: listing.companyId?._id || listing.companyId,
+          sellerDesiredPrice: match.sellerDesiredPrice,
+          buyerMaxPrice: match.buyerMaxPrice,
+          quantity: match.quantity
+        }
+      },
+      { upsert: true }
+    );
+
+    // Already notified for this pair
+    if (!result.upsertedCount) continue;
+
+    const notifications = [await matchNotification(listing, counterpart, match.suggestedOffer, settings)];
+    // The counterpart is only told when this listing's price also works for them
+    const counterOffer = getSuggestedOffer(listing, match.quantity);
+    if (crossesOwnPrice(counterpart, counterOffer)) {
+      notifications.push(await matchNotification(counterpart, listing, counterOffer, settings));
+    }
+
+    await Notification.insertMany(notifications);
+    notified += 1;
+  }
+
+  return notified;
+};
@@ -0,0 +1,96 @@
+import Trade from '../models/Trade.js';
+import Company from '../models/Company.js';
+
+// Candle interval -> $dateTrunc unit
+export const CANDLE_INTERVALS = {
+  '1d': 'day',
+  '1w': 'week',
+  '1m': 'month'
+};
+
+const CANDLE_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Record the executed price of a deal and update the company's last traded price
+ */
+export const recordTrade = async (deal) => {
+  if (!deal.companyId) return null;
+
+  const trade = await Trade.create({
+    companyId: deal.companyId,
+    companyName: deal.companyName,
+    dealId: deal._id,
+    listingId: deal.listingId,
+    price: deal.buyerPrice ?? deal.price,
+    sellerPrice: deal.sellerPrice,
+    quantity: deal.quantity,
+    executedAt: deal.acceptedAt || new Date()
+  });
+
+  await Company.findByIdAndUpdate(deal.companyId, {
+    lastTradedPrice: trade.price,
+    lastTradedAt: trade.executedAt
+  });
+
+  return trade;
+};
+
+/**
+ * Void the trade of a cancelled deal and fall back to the previous last traded price
+ */
+export const voidTrade = async (deal) => {
+  const trade = await Trade.findOneAndUpdate(
+    { dealId: deal._id, isVoid: false },
+    { isVoid: true },
+    { new: true }
+  );
+  if (!trade) return null;
+
+  const latest = await Trade.findOne({ companyId: trade.companyId, isVoid: false })
+    .sort('-executedAt');
+
+  await Company.findByIdAndUpdate(trade.companyId, {
+    lastTradedPrice: latest?.price ?? null,
+    lastTradedAt: latest?.executedAt ?? null
+  });
+
+  return trade;
+};
+
+/**
+ * Build OHLC candles with volume for a company
+ */
+export const getPriceCandles = async (companyId, interval = '1d', { from, to } = {}) => {
+  const match = { companyId, isVoid: false };
+  if (from || to) {
+    match.executedAt = {};
+    if (from) match.executedAt.$gte = from;
+    if (to) match.executedAt.$lte = to;
+  }
+
+  const candles = await Trade.aggregate([
+    { $match: match },
+    { $sort: { executedAt: 1 } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: '$executedAt',
+            unit: CANDLE_INTERVALS[interval],
+            timezone: CANDLE_TIMEZONE
+          }
+        },
+        open: { $first: '$price' },
+        high: { $max: '$price' },
+        low: { $min: '$price' },
+        close: { $last: '$price' },
+        volume: { $sum: '$quantity' },
+        value: { $sum: { $multiply: ['$price', '$quantity'] } },
+        trades: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return candles.map(({ _id, ...candle }) => ({ time: _id, ...candle }));
+};
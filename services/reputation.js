@@ -0,0 +1,68 @@
+import Deal from '../models/Deal.js';
+import Rating from '../models/Rating.js';
+import User from '../models/User.js';
+
+// Ratings are pulled towards a neutral prior until a user has a few of them,
+// so one 5-star deal doesn't outrank fifty 4.8-star ones
+const PRIOR_STARS = 3;
+const PRIOR_WEIGHT = 5;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Recompute a user's reputation from their ratings and completed deals
+ */
+export const updateReputation = async (userId) => {
+  const [[ratings], [deals]] = await Promise.all([
+    Rating.aggregate([
+      { $match: { rateeId: userId } },
+      { $group: { _id: null, count: { $sum: 1 }, totalStars: { $sum: '$stars' } } }
+    ]),
+    Deal.aggregate([
+      { $match: { status: 'completed', $or: [{ buyerId: userId }, { sellerId: userId }] } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          settlementMs: { $avg: { $subtract: ['$completedAt', '$acceptedAt'] } }
+        }
+      }
+    ])
+  ]);
+
+  const ratingCount = ratings?.count || 0;
+  const weightedStars = (PRIOR_STARS * PRIOR_WEIGHT + (ratings?.totalStars || 0)) / (PRIOR_WEIGHT + ratingCount);
+
+  const reputation = {
+    score: ratingCount > 0 ? Math.round(((weightedStars - 1) / 4) * 100) : null,
+    averageStars: ratingCount > 0 ? round(ratings.totalStars / ratingCount) : null,
+    ratingCount,
+    completedDeals: deals?.count || 0,
+    averageSettlementHours: deals?.settlementMs != null ? round(deals.settlementMs / (60 * 60 * 1000), 1) : null,
+    updatedAt: new Date()
+  };
+
+  await User.updateOne({ _id: userId }, { $set: { reputation } });
+  return reputation;
+};
+
+/**
+ * Plain copies of listings with each bid/offer carrying its bidder's reputation
+ */
+export const withBidderReputations = async (listings) => {
+  const data = listings.map(listing => (typeof listing.toObject === 'function' ? listing.toObject() : listing));
+  const bids = data.flatMap(listing => [...(listing.bids || []), ...(listing.offers || [])]);
+
+  const bidderIds = [...new Set(bids.map(bid => bid.userId.toString()))];
+  if (bidderIds.length === 0) return data;
+
+  const bidders = await User.find({ _id: { $in: bidderIds } }).select('isVerified reputation').lean();
+  const byId = new Map(bidders.map(bidder => [bidder._id.toString(), bidder]));
+
+  bids.forEach(bid => {
+    const bidder = byId.get(bid.userId.toString());
+    bid.bidder = { isVerified: Boolean(bidder?.isVerified), reputation: bidder?.reputation || null };
+  });
+
+  return data;
+};
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import Deal from '../models/Deal.js';
+import Notification from '../models/Notification.js';
+import Rfq from '../models/Rfq.js';
+import { createDealFromQuote } from './dealService.js';
+
+const BATCH_SIZE = 50;
+
+const rfqError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Users whose portfolio shows a position in a company: shares bought minus
+ * shares sold across completed deals, same as portfolio holdings.
+ */
+export const findCompanyHolders = async (companyId, { excludeUserId } = {}) => {
+  const holders = await Deal.aggregate([
+    { $match: { companyId: new mongoose.Types.ObjectId(companyId), status: 'completed' } },
+    {
+      $project: {
+        positions: [
+          { userId: '$buyerId', username: '$buyerUsername', quantity: '$quantity' },
+          { userId: '$sellerId', username: '$sellerUsername', quantity: { $multiply: ['$quantity', -1] } }
+        ]
+      }
+    },
+    { $unwind: '$positions' },
+    {
+      $group: {
+        _id: '$positions.userId',
+        username: { $last: '$positions.username' },
+        quantity: { $sum: '$positions.quantity' }
+      }
+    },
+    { $match: { quantity: { $gt: 0 } } }
+  ]);
+
+  return holders
+    .filter(holder => !excludeUserId || holder._id.toString() !== excludeUserId.toString())
+    .map(holder => ({ userId: holder._id, username: holder.username, quantity: holder.quantity }));
+};
+
+const quoteNotification = (rfq, quote, type, title, message, dealId) => ({
+  userId: quote.sellerId,
+  type,
+  title,
+  message,
+  data: {
+    rfqId: rfq._id,
+    bidId: quote._id,
+    dealId,
+    amount: quote.price,
+    quantity: quote.awardedQuantity ?? quote.quantity,
+    companyName: rfq.companyName
+  }
+});
+
+/**
+ * Decline every quote still on the table and close the RFQ
+ */
+export const closeRfq = async (rfq) => {
+  const declined = rfq.quotes.filter(quote => quote.status === 'submitted');
+  declined.forEach(quote => {
+    quote.status = 'declined';
+  });
+
+  rfq.status = 'closed';
+  rfq.closedAt = new Date();
+  await rfq.save();
+
+  if (declined.length > 0) {
+    await Notification.insertMany(declined.map(quote => quoteNotification(
+      rfq,
+      quote,
+      'offer_rejected',
+      'Quote Not Selected',
+      `Your quote of ₹${quote.price} for ${quote.quantity} shares of ${rfq.companyName} was not selected.`
+    )));
+  }
+
+  return declined.length;
+};
+
+/**
+ * Close open RFQs whose quote deadline has passed, declining unawarded quotes.
+ * Buyers award within the quote window.
+ */
+export const closeExpiredRfqs = async (now) => {
+  const rfqs = await Rfq.find({ status: 'open', quoteDeadline: { $lte: now } }).limit(BATCH_SIZE);
+
+  for (const rfq of rfqs) {
+    await closeRfq(rfq);
+  }
+
+  return rfqs.length;
+};
+
+/**
+ * Award quotes on an RFQ, opening a deal for each.
+ * `awards` is [{ quoteId, quantity? }]; quantity defaults to the full quote.
+ * The RFQ closes once its quantity is fully awarded.
+ */
+export const awardQuotes = async (rfq, awards) => {
+  if (rfq.status !== 'open') throw rfqError('This RFQ is closed');
+  if (!Array.isArray(awards) || awards.length === 0) throw rfqError('Select at least one quote to award');
+
+  // Validate every award before opening any deal
+  let total = rfq.awardedQuantity;
+  const selected = awards.map(({ quoteId, quantity }) => {
+    const quote = rfq.quotes.id(quoteId);
+    if (!quote || quote.status !== 'submitted') throw rfqError('Quote not found or no longer available', 404);
+
+    const awardedQuantity = quantity ?? quote.quantity;
+    if (!(awardedQuantity > 0) || awardedQuantity > quote.quantity) {
+      throw rfqError(`Award quantity for @${quote.sellerUsername} must be between 1 and ${quote.quantity}`);
+    }
+
+    total += awardedQuantity;
+    return { quote, awardedQuantity };
+  });
+
+  if (total > rfq.quantity) {
+    throw rfqError(`Awards exceed the requested quantity of ${rfq.quantity} shares`);
+  }
+
+  const deals = [];
+  for (const { quote, awardedQuantity } of selected) {
+    // Deal first, so a failure never leaves a quote awarded without one
+    const deal = await createDealFromQuote(rfq, quote, awardedQuantity);
+
+    quote.status = 'awarded';
+    quote.awardedQuantity = awardedQuantity;
+    quote.dealId = deal._id;
+    rfq.awardedQuantity += awardedQuantity;
+    await rfq.save();
+    deals.push(deal);
+
+    await Notification.create(quoteNotification(
+      rfq,
+      quote,
+      'offer_accepted',
+      'Quote Accepted! 🎉',
+      `Your quote of ₹${quote.price} for ${awardedQuantity} shares of ${rfq.companyName} has been accepted!`,
+      deal._id
+    ));
+  }
+
+  if (rfq.awardedQuantity >= rfq.quantity) {
+    await closeRfq(rfq);
+  } else {
+    await rfq.save();
+  }
+
+  return deals;
+};
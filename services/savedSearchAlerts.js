@@ -0,0 +1,57 @@
+import SavedSearch from '../models/SavedSearch.js';
+import SavedSearchAlert from '../models/SavedSearchAlert.js';
+import Notification from '../models/Notification.js';
+
+/**
+ * Alert owners of saved searches that a created/updated listing now matches.
+ * Each listing alerts a given search at most once.
+ */
+export const matchSavedSearches = async (listing) => {
+  if (listing.status !== 'active' || !listing.isPublic()) return 0;
+
+  const companyId = listing.companyId?._id || listing.companyId;
+
+  // Narrow down on indexed filters, check the rest per search
+  const candidates = await SavedSearch.find({
+    alertsEnabled: true,
+    userId: { $ne: listing.userId },
+    'filters.type': { $in: [null, listing.type] },
+    'filters.companyId': { $in: [null, companyId] }
+  });
+
+  const price = listing.displayPrice ?? listing.price;
+  let alerted = 0;
+
+  for (const savedSearch of candidates) {
+    if (!savedSearch.matchesListing(listing)) continue;
+
+    const result = await SavedSearchAlert.updateOne(
+      { savedSearchId: savedSearch._id, listingId: listing._id },
+      { $setOnInsert: { userId: savedSearch.userId, price } },
+      { upsert: true }
+    );
+
+    // Already alerted for this listing
+    if (!result.upsertedCount) continue;
+
+    await Notification.create({
+      userId: savedSearch.userId,
+      type: 'saved_search_alert',
+      title: `New match for "${savedSearch.name}"`,
+      message: `${listing.companyName}: ${listing.type === 'sell' ? 'selling' : 'buying'} ${listing.remainingQuantity ?? listing.quantity} shares at ₹${price.toFixed(2)}`,
+      data: {
+        listingId: listing._id,
+        amount: price,
+        quantity: listing.remainingQuantity ?? listing.quantity,
+        companyName: listing.companyName
+      }
+    });
+
+    savedSearch.lastAlertAt = new Date();
+    savedSearch.alertCount += 1;
+    await savedSearch.save();
+    alerted += 1;
+  }
+
+  return alerted;
+};
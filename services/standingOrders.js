@@ -0,0 +1,94 @@
+import StandingOrder from '../models/StandingOrder.js';
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import User from '../models/User.js';
+import { getBidArray, placeBid } from './bidService.js';
+
+const OPEN_BID_STATUSES = ['pending', 'countered'];
+
+/**
+ * Place auto-bids on a new sell post for every standing order it satisfies,
+ * oldest order first. Bids go through the same placeBid path as manual bids.
+ */
+export const runStandingOrders = async (listing) => {
+  // Auctions are left to bidders; private listings only to the people they're shared with
+  if (listing.type !== 'sell' || listing.auction || !listing.isPublic() || listing.status !== 'active') return 0;
+
+  const settings = await Settings.getSettings();
+  if (!settings.standingOrdersEnabled) return 0;
+
+  const price = listing.displayPrice ?? listing.price;
+  const now = new Date();
+
+  const orders = await StandingOrder.find({
+    companyId: listing.companyId?._id || listing.companyId,
+    userId: { $ne: listing.userId },
+    isActive: true,
+    expiresAt: { $gt: now },
+    maxPrice: { $gte: price },
+    $expr: { $lt: ['$autoBidCount', '$maxAutoBids'] }
+  }).sort('createdAt');
+
+  let placed = 0;
+
+  for (const order of orders) {
+    if (listing.status !== 'active') break;
+
+    // One open bid per buyer on a listing
+    const hasOpenBid = getBidArray(listing).some(bid =>
+      bid.userId.toString() === order.userId.toString() && OPEN_BID_STATUSES.includes(bid.status)
+    );
+    if (hasOpenBid) continue;
+
+    // Reserve an auto-bid slot so concurrent sell posts can't go over the cap
+    const reserved = await StandingOrder.findOneAndUpdate(
+      { _id: order._id, isActive: true, $expr: { $lt: ['$autoBidCount', '$maxAutoBids'] } },
+      { $inc: { autoBidCount: 1 } },
+      { new: true }
+    );
+    if (!reserved) continue;
+
+    const quantity = Math.min(order.quantity, listing.remainingQuantity ?? listing.quantity);
+
+    try {
+      const buyer = await User.findById(order.userId);
+      if (!buyer || buyer.isBanned) throw new Error('Buyer account is not available');
+
+      const { bid } = await placeBid(listing, buyer, {
+        price,
+        quantity,
+        message: 'Placed automatically by a standing order'
+      });
+
+      await StandingOrder.updateOne(
+        { _id: order._id },
+        {
+          $set: { lastTriggeredAt: now },
+          $push: { autoBids: { listingId: listing._id, bidId: bid._id, price, quantity } }
+        }
+      );
+
+      await Notification.create({
+        userId: order.userId,
+        type: 'auto_bid_placed',
+        title: 'Auto-Bid Placed',
+        message: `Your standing order placed a bid of ₹${price.toFixed(2)} for ${quantity} shares of ${listing.companyName} (${reserved.autoBidCount}/${reserved.maxAutoBids} auto-bids used).`,
+        data: {
+          listingId: listing._id,
+          bidId: bid._id,
+          amount: price,
+          quantity,
+          companyName: listing.companyName
+        }
+      });
+
+      placed += 1;
+    } catch (error) {
+      // Give the slot back; a rejected auto-bid doesn't count towards the cap
+      await StandingOrder.updateOne({ _id: order._id }, { $inc: { autoBidCount: -1 } });
+      console.error(`Standing order ${order._id} could not bid on listing ${listing._id}:`, error.message);
+    }
+  }
+
+  return placed;
+};
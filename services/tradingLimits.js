@@ -0,0 +1,59 @@
+import Listing from '../models/Listing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Structured error the frontend can show: { code, message, details }
+const limitError = (code, message, details) => ({ code, message, details });
+
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+/**
+ * Check a trade value against Settings min/max trade amount
+ */
+export const checkTradeAmount = (user, settings, amount) => {
+  if (user.tradingLimitExemptions?.tradeAmount) return null;
+
+  if (amount < settings.minTradeAmount) {
+    return limitError(
+      'TRADE_AMOUNT_TOO_LOW',
+      `Minimum trade amount is ${formatAmount(settings.minTradeAmount)}`,
+      { amount, minTradeAmount: settings.minTradeAmount }
+    );
+  }
+
+  if (amount > settings.maxTradeAmount) {
+    return limitError(
+      'TRADE_AMOUNT_TOO_HIGH',
+      `Maximum trade amount is ${formatAmount(settings.maxTradeAmount)}`,
+      { amount, maxTradeAmount: settings.maxTradeAmount }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Check a new listing against the active listings cap and trade amount limits
+ */
+export const checkNewListingLimits = async (user, settings, { price, quantity }) => {
+  if (!user.tradingLimitExemptions?.maxListings) {
+    const activeListings = await Listing.countDocuments({
+      userId: user._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeListings >= settings.maxListingsPerUser) {
+      return limitError(
+        'MAX_LISTINGS_REACHED',
+        `You can have at most ${settings.maxListingsPerUser} active listings`,
+        { activeListings, maxListingsPerUser: settings.maxListingsPerUser }
+      );
+    }
+  }
+
+  return checkTradeAmount(user, settings, price * quantity);
+};
+
+export const getListingExpiryDate = (settings, from = new Date()) =>
+  new Date(from.getTime() + settings.listingExpiryDays * DAY_MS);
@@ -0,0 +1,43 @@
+import Watchlist from '../models/Watchlist.js';
+import Notification from '../models/Notification.js';
+
+/**
+ * Notify users watching a listing's company, respecting their per-company thresholds
+ */
+export const notifyWatchers = async (listing) => {
+  if (!listing.isPublic()) return 0;
+
+  const isSell = listing.type === 'sell';
+  const price = listing.displayPrice ?? listing.price;
+
+  const query = {
+    companyId: listing.companyId,
+    userId: { $ne: listing.userId },
+    [isSell ? 'alertOnSell' : 'alertOnBuy']: true
+  };
+
+  // Sell posts: alert if price is under the watcher's max. Buy requests: if over their min.
+  if (isSell) {
+    query.$or = [{ maxSellPrice: null }, { maxSellPrice: { $gte: price } }];
+  } else {
+    query.$or = [{ minBuyPrice: null }, { minBuyPrice: { $lte: price } }];
+  }
+
+  const watchers = await Watchlist.find(query).select('userId');
+  if (watchers.length === 0) return 0;
+
+  await Notification.insertMany(watchers.map(watcher => ({
+    userId: watcher.userId,
+    type: 'watchlist_alert',
+    title: isSell ? 'New Sell Post on Your Watchlist' : 'New Buy Request on Your Watchlist',
+    message: `${listing.companyName}: ${isSell ? 'selling' : 'buying'} ${listing.quantity} shares at ₹${price.toFixed(2)}`,
+    data: {
+      listingId: listing._id,
+      amount: price,
+      quantity: listing.quantity,
+      companyName: listing.companyName
+    }
+  })));
+
+  return watchers.length;
+};
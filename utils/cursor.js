@@ -0,0 +1,36 @@
+// Opaque cursors for keyset ("load more") pagination
+
+export const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a filter matching documents that sort after `values`.
+ * `keys` is the full sort as [field, order] pairs and must end in a unique
+ * field, e.g. [['isBoosted', -1], ['createdAt', -1], ['_id', -1]].
+ */
+export const buildCursorFilter = (keys, values) => ({
+  $or: keys.map(([field, order], i) => {
+    const clause = {};
+    keys.slice(0, i).forEach(([prevField], j) => {
+      clause[prevField] = values[j];
+    });
+    clause[field] = { [order === 1 ? '$gt' : '$lt']: values[i] };
+    return clause;
+  })
+});
+
+// Read the sort key values of a document to build the next cursor
+export const getCursorValues = (doc, keys) =>
+  keys.map(([field]) => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    return value ?? null;
+  });
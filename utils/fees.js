@@ -0,0 +1,12 @@
+// Platform fee math. The fee is a percentage of the fee-inclusive price the
+// buyer pays, so a seller receiving P is shown to buyers at P / (1 - fee).
+
+export const DEFAULT_FEE_PERCENTAGE = 2;
+
+const keepRate = (feePercentage = DEFAULT_FEE_PERCENTAGE) => 1 - feePercentage / 100;
+
+// What the buyer pays when the seller should receive `price`
+export const addFee = (price, feePercentage) => price / keepRate(feePercentage);
+
+// What the seller receives when the buyer pays `price`
+export const deductFee = (price, feePercentage) => price * keepRate(feePercentage);